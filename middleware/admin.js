@@ -0,0 +1,11 @@
+const { forbidden } = require('./errors');
+
+// Use after `auth`: only lets users with role "admin" through
+const admin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return next(forbidden('Admin access required.'));
+  }
+  next();
+};
+
+module.exports = admin;
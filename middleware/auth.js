@@ -1,26 +1,35 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+const { unauthorized } = require('./errors');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+      return next(unauthorized('Access denied. No token provided.'));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET );
+
+    // Tokens belong to a session; logging out revokes it
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.userId))) {
+      return next(unauthorized('Invalid token. Session has ended.'));
+    }
+
     const user = await User.findById(decoded.userId);
 
     if (!user) {
-      return res.status(401).json({ message: 'Invalid token. User not found.' });
+      return next(unauthorized('Invalid token. User not found.'));
     }
 
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token.' });
+    next(unauthorized('Invalid token.'));
   }
 };
 
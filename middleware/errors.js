@@ -0,0 +1,100 @@
+// Uniform API errors. Handlers throw (or pass to next) an HttpError; errorHandler turns
+// it — and errors from Express, body-parser, multer and Mongoose — into
+// { code, message, details } with a matching status. Anything else is a 500.
+
+// `cause` (e.g. the failed upstream call) is logged for 5xx errors but never sent
+class HttpError extends Error {
+  constructor(status, code, message, { details = null, headers = {}, cause } = {}) {
+    super(message, { cause });
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+const invalid = (message, details = null) => new HttpError(400, 'validation_error', message, { details });
+const unauthorized = (message) => new HttpError(401, 'unauthorized', message);
+const forbidden = (message) => new HttpError(403, 'forbidden', message);
+const notFound = (message = 'Not found') => new HttpError(404, 'not_found', message);
+const conflict = (message, details = null) => new HttpError(409, 'conflict', message, { details });
+const badGateway = (message, { cause } = {}) => new HttpError(502, 'upstream_error', message, { cause });
+const unavailable = (message) => new HttpError(503, 'unavailable', message);
+
+// 429 with Retry-After (seconds)
+const tooManyRequests = (message, retryAfter, code = 'rate_limited') =>
+  new HttpError(429, code, message, { details: { retryAfter }, headers: { 'Retry-After': String(retryAfter) } });
+
+// Map errors raised outside our handlers to an HttpError (null: unexpected)
+function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+
+  // body-parser
+  if (error.type === 'entity.parse.failed') return new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+  if (error.type === 'entity.too.large') return new HttpError(413, 'payload_too_large', 'Request body is too large');
+
+  // multer
+  if (error.name === 'MulterError') {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? new HttpError(413, 'payload_too_large', 'File is too large')
+      : invalid('Invalid upload', [{ location: 'body', path: error.field || 'file', message: error.message }]);
+  }
+
+  // Mongoose: malformed ids and documents that fail schema validation
+  if (error.name === 'CastError') {
+    return invalid(`${error.path} is invalid`, [{ location: 'body', path: error.path, message: `must be a valid ${error.kind}` }]);
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    const details = Object.values(error.errors).map(e => ({ location: 'body', path: e.path, message: e.message }));
+    return invalid(details[0]?.message || 'Invalid data', details);
+  }
+  if (error.code === 11000) return conflict('Already exists');
+  // MongoDB rejects geometry its 2dsphere indexes can't use (e.g. coordinates out of range)
+  if (error.code === 16755 || /extract geo keys/i.test(error.message || '')) {
+    return invalid('Geometry is invalid', [{ location: 'body', path: 'pathEncoded', message: 'contains positions outside the valid lon/lat ranges' }]);
+  }
+
+  // Errors from other middleware that carry an HTTP status
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) return new HttpError(status, 'bad_request', error.expose ? error.message : 'Bad request');
+
+  return null;
+}
+
+// Unmatched /api paths
+const notFoundHandler = (req, res, next) => next(notFound(`No endpoint ${req.method} ${req.baseUrl}${req.path}`));
+
+// Last middleware (Express needs all four arguments): answers every error as
+// { code, message, details }
+function errorHandler(error, req, res, next) {
+  const httpError = toHttpError(error);
+
+  if (!httpError) {
+    console.error(`${req.method} ${req.originalUrl} error:`, error);
+  } else if (httpError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} error:`, error.cause || error);
+  }
+
+  // Streams that already started (SSE) can only be closed
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  const { status, code, message, details, headers } = httpError || new HttpError(500, 'server_error', 'Server error');
+  res.set(headers).status(status).json({ code, message, details });
+}
+
+module.exports = {
+  HttpError,
+  invalid,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  badGateway,
+  unavailable,
+  tooManyRequests,
+  notFoundHandler,
+  errorHandler
+};
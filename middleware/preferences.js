@@ -0,0 +1,11 @@
+const { applyPreferences } = require('../services/profile');
+
+// Use after `auth` and before `validate`: fills missing body fields of a `kind` request
+// ("generate-route", "generate-trip" or "enrich") from the user's profile preferences,
+// so required fields may come from the profile
+const preferenceDefaults = (kind) => (req, res, next) => {
+  req.body = applyPreferences(kind, req.body, req.user);
+  next();
+};
+
+module.exports = preferenceDefaults;
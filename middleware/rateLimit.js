@@ -0,0 +1,96 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { tooManyRequests } = require('./errors');
+
+// Fixed-window rate limits and quotas, counted in MongoDB so they hold across
+// restarts and server instances. Limits are configured as "<count>/<period>",
+// e.g. "10/15m" or "50/1d" (periods in s, m, h or d); "off" disables a limit.
+// Daily windows start at midnight UTC.
+
+const PERIOD_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// "10/15m" -> { max: 10, windowSeconds: 900 }; null when disabled
+function parseLimit(spec) {
+  if (spec === undefined || spec === null || spec === 'off' || spec === '0') return null;
+  const match = /^(\d+)\/(\d*)([smhd])$/.exec(String(spec).trim());
+  if (!match) {
+    throw new Error(`Invalid rate limit "${spec}". Use "<count>/<period>", e.g. "10/15m", or "off"`);
+  }
+  return { max: Number(match[1]), windowSeconds: Number(match[2] || 1) * PERIOD_SECONDS[match[3]] };
+}
+
+// Count one request against `key`; returns { count, resetAt }
+async function hit(name, key, windowSeconds) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+  const counter = await RateLimitCounter.findOneAndUpdate(
+    { key: `${name}:${key}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+    { upsert: true, new: true }
+  );
+  return { count: counter.count, resetAt };
+}
+
+// Middleware allowing `limit` ("count/period", read from env by the caller) requests
+// per window and per `keyBy(req)` (null skips counting). Over the limit it answers 429
+// with Retry-After. Counter errors let the request through rather than failing it.
+function rateLimit(name, limit, { keyBy = (req) => req.ip, message = 'Too many requests. Please try again later.' } = {}) {
+  const parsed = parseLimit(limit);
+
+  return async (req, res, next) => {
+    if (!parsed) return next();
+    const key = keyBy(req);
+    if (key === null || key === undefined) return next();
+
+    let result;
+    try {
+      result = await hit(name, key, parsed.windowSeconds);
+    } catch (error) {
+      console.warn(`Rate limit check failed (${name}):`, error.message);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(parsed.max),
+      'RateLimit-Remaining': String(Math.max(0, parsed.max - result.count)),
+      'RateLimit-Reset': String(retryAfter)
+    });
+
+    if (result.count > parsed.max) {
+      return next(tooManyRequests(message, retryAfter));
+    }
+    next();
+  };
+}
+
+// Per-user daily quota (use after `auth`); admins are exempt
+const userQuota = (name, limit, message) => rateLimit(name, limit, {
+  keyBy: (req) => (req.user?.role === 'admin' ? null : req.user?.username),
+  message
+});
+
+// Limits used by the API. Login/register/reset count per IP, verification emails
+// per user, generation and enrichment per user and day.
+const limits = {
+  login: rateLimit('login', process.env.RATE_LIMIT_LOGIN || '10/15m', {
+    message: 'Too many login attempts. Please try again later.'
+  }),
+  register: rateLimit('register', process.env.RATE_LIMIT_REGISTER || '5/1h'),
+  passwordReset: rateLimit('password-reset', process.env.RATE_LIMIT_PASSWORD_RESET || '5/1h'),
+  verificationEmail: rateLimit('verification-email', process.env.RATE_LIMIT_VERIFICATION_EMAIL || '3/1h', {
+    keyBy: (req) => req.user?.username,
+    message: 'Too many verification emails requested. Please try again later.'
+  }),
+  generation: userQuota('generation', process.env.QUOTA_GENERATION || '50/1d',
+    'Daily route generation quota reached. Please try again tomorrow.'),
+  enrichment: userQuota('enrichment', process.env.QUOTA_ENRICHMENT || '100/1d',
+    'Daily enrichment quota reached. Please try again tomorrow.')
+};
+
+module.exports = {
+  parseLimit,
+  rateLimit,
+  userQuota,
+  limits
+};
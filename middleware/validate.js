@@ -0,0 +1,174 @@
+const { invalid } = require('./errors');
+const { isIsoDate } = require('../services/weather');
+const { decodePath } = require('../utils/polyline');
+const { isValidPosition } = require('../utils/geo');
+
+// Declarative request schemas. `validate({ body, params, query })` checks the parts of
+// a request against field specs and rejects it with a 400 validation_error listing every
+// problem as { location, path, message }. Unknown fields are ignored; handlers still read
+// req.body / req.query themselves. Query and path params arrive as strings, so numbers and
+// booleans are accepted in their string form there (numbers also in bodies, for forms).
+
+const string = ({ required = false, min = 0, max = Infinity, pattern } = {}) => ({ kind: 'string', required, min, max, pattern });
+const number = ({ required = false, min = -Infinity, max = Infinity, integer = false } = {}) => ({ kind: 'number', required, min, max, integer });
+const integer = (options = {}) => number({ ...options, integer: true });
+const boolean = ({ required = false } = {}) => ({ kind: 'boolean', required });
+const oneOf = (values, { required = false } = {}) => ({ kind: 'enum', values, required });
+const objectId = ({ required = false } = {}) => ({ kind: 'objectId', required });
+const isoDate = ({ required = false } = {}) => ({ kind: 'isoDate', required });
+// [lon, lat] within valid ranges
+const position = ({ required = false } = {}) => ({ kind: 'position', required });
+// Encoded polyline of at least `min` valid [lon, lat] points
+const encodedPath = ({ required = false, min = 2 } = {}) => ({ kind: 'encodedPath', required, min });
+const array = (items, { required = false, min = 0, max = Infinity } = {}) => ({ kind: 'array', items, required, min, max });
+const object = (fields, { required = false } = {}) => ({ kind: 'object', fields, required });
+// Matches if any of `specs` does (e.g. a place name or a position)
+const anyOf = (specs, description, { required = false } = {}) => ({ kind: 'anyOf', specs, description, required });
+const any = ({ required = false } = {}) => ({ kind: 'any', required });
+
+// Problems with one value: [{ path, message }]
+function check(spec, value, path, { fromString }) {
+  const fail = (message) => [{ path, message }];
+
+  if (value === undefined || value === null || (fromString && value === '')) {
+    return spec.required ? fail('is required') : [];
+  }
+
+  switch (spec.kind) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if ((spec.required || spec.min > 0) && !value.trim()) return fail('must not be empty');
+      if (value.length < spec.min) return fail(`must be at least ${spec.min} characters`);
+      if (value.length > spec.max) return fail(`must be at most ${spec.max} characters`);
+      if (spec.pattern && !spec.pattern.test(value)) return fail('has an invalid format');
+      return [];
+
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return fail(spec.integer ? 'must be an integer' : 'must be a number');
+      if (spec.integer && !Number.isInteger(n)) return fail('must be an integer');
+      if (n < spec.min || n > spec.max) {
+        return fail(spec.max === Infinity ? `must be at least ${spec.min}`
+          : spec.min === -Infinity ? `must be at most ${spec.max}`
+            : `must be between ${spec.min} and ${spec.max}`);
+      }
+      return [];
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean' || (fromString && (value === 'true' || value === 'false'))) return [];
+      return fail('must be true or false');
+
+    case 'enum':
+      if (!spec.values.includes(value)) return fail(`must be one of ${spec.values.join(', ')}`);
+      return [];
+
+    case 'objectId':
+      if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) {
+        return fail('must be a valid id');
+      }
+      return [];
+
+    case 'isoDate':
+      if (!isIsoDate(value)) return fail('must be a YYYY-MM-DD date');
+      return [];
+
+    case 'position': {
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        return fail('must be [lon, lat] numbers');
+      }
+      const [lon, lat] = value;
+      if (lon < -180 || lon > 180) return fail('longitude must be between -180 and 180');
+      if (lat < -90 || lat > 90) return fail('latitude must be between -90 and 90');
+      return [];
+    }
+
+    case 'encodedPath': {
+      if (typeof value !== 'string' || !value.trim()) return fail('must be an encoded polyline');
+      let points;
+      try {
+        points = decodePath(value);
+      } catch (error) {
+        return fail('must be an encoded polyline');
+      }
+      if (points.length < spec.min) return fail(`must contain at least ${spec.min} points`);
+      const bad = points.findIndex(point => !isValidPosition(point));
+      if (bad !== -1) return fail(`point ${bad} is not a valid [lon, lat] position`);
+      return [];
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (value.length < spec.min) return fail(`must have at least ${spec.min} item${spec.min === 1 ? '' : 's'}`);
+      if (value.length > spec.max) return fail(`must have at most ${spec.max} items`);
+      return value.flatMap((item, i) => check(spec.items, item, `${path}[${i}]`, { fromString }));
+    }
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      return Object.entries(spec.fields)
+        .flatMap(([field, fieldSpec]) => check(fieldSpec, value[field], path ? `${path}.${field}` : field, { fromString }));
+
+    case 'anyOf':
+      if (spec.specs.some(option => check(option, value, path, { fromString }).length === 0)) return [];
+      return fail(`must be ${spec.description}`);
+
+    case 'any':
+      return [];
+
+    default:
+      return fail(`has unknown schema kind ${spec.kind}`);
+  }
+}
+
+// Throws a validation_error unless `value` (a request's body, params or query) matches
+// the field specs. For input that needs decoding first, e.g. JSON in query params.
+function assertValid(fields, value, location) {
+  const details = check(object(fields), value ?? {}, '', { fromString: location !== 'body' })
+    .map(problem => ({ location, ...problem }));
+
+  if (details.length === 0) return;
+
+  const [first] = details;
+  const more = details.length > 1 ? ` (and ${details.length - 1} more)` : '';
+  throw invalid(`${first.path || first.location} ${first.message}${more}`, details);
+}
+
+// Middleware checking { body, params, query } field specs
+const validate = (schema) => (req, res, next) => {
+  for (const [location, fields] of Object.entries(schema)) {
+    assertValid(fields, req[location], location);
+  }
+  next();
+};
+
+// Shared specs
+const idParams = { id: objectId({ required: true }) };
+const routeType = (options) => oneOf(['hike', 'bike'], options);
+const place = (options) => anyOf([string({ required: true, max: 200 }), position()], 'a place name or [lon, lat]', options);
+// Language tags like "en", "de" or "pt-BR"
+const language = (options) => string({ min: 2, max: 35, pattern: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i, ...options });
+const units = (options) => oneOf(['km', 'mi'], options);
+
+module.exports = {
+  validate,
+  assertValid,
+  string,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  objectId,
+  isoDate,
+  position,
+  encodedPath,
+  array,
+  object,
+  anyOf,
+  any,
+  idParams,
+  routeType,
+  place,
+  language,
+  units
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Persistent layer of services/cache.js; MongoDB drops entries once expiresAt passes
+const cacheEntrySchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cacheEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Finished jobs are removed after this many seconds (default 7 days)
+const JOB_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS || 7 * 24 * 3600);
+
+const progressSchema = new mongoose.Schema({
+  stage: String,    // "geocoding" | "routing" | "elevation"
+  attempt: Number,
+  current: Number,  // probe N ...
+  total: Number,    // ... of M
+  message: String
+}, { _id: false });
+
+// Background generation job, run by services/jobs.js
+const jobSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['generate-route', 'generate-trip']
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  progress: {
+    type: progressSchema,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // API instance running the job, which refreshes heartbeatAt while it is queued or
+  // running (see services/jobs.js)
+  owner: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_TTL_SECONDS });
+jobSchema.index({ status: 1, heartbeatAt: 1 });
+
+jobSchema.virtual('finished').get(function() {
+  return FINISHED_STATUSES.includes(this.status);
+});
+
+// What the owner sees when polling
+jobSchema.methods.toStatusJSON = function() {
+  return {
+    id: this._id,
+    kind: this.kind,
+    status: this.status,
+    progress: this.progress,
+    result: this.status === 'succeeded' ? this.result : null,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt || null,
+    finishedAt: this.finishedAt || null
+  };
+};
+
+jobSchema.statics.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request count of one rate limit key in one fixed window (see middleware/rateLimit.js).
+// MongoDB drops counters once their window has passed.
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<limit name>:<ip or username>:<window start>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -1,5 +1,80 @@
 const mongoose = require('mongoose');
+const { decodePath } = require('../utils/polyline');
+const { calculateRouteDistanceKm, isValidPosition } = require('../utils/geo');
 
+const elevationStatsFields = {
+  ascentM: Number,
+  descentM: Number,
+  maxElevationM: Number,
+  minElevationM: Number
+};
+
+const elevationSchema = new mongoose.Schema({
+  ...elevationStatsFields,
+  days: [new mongoose.Schema(elevationStatsFields, { _id: false })],
+  profile: [new mongoose.Schema({ distanceKm: Number, elevationM: Number }, { _id: false })]
+}, { _id: false });
+
+const timeEstimateSchema = new mongoose.Schema({
+  model: String,
+  fitnessFactor: Number,
+  totalMinutes: Number,
+  days: [new mongoose.Schema({ day: Number, minutes: Number }, { _id: false })]
+}, { _id: false });
+
+const overnightStopSchema = new mongoose.Schema({
+  day: Number,
+  name: String,
+  type: String,
+  coordinates: [Number], // [lon, lat]
+  detourKm: Number,
+  snapped: Boolean
+}, { _id: false });
+
+const poiSchema = new mongoose.Schema({
+  name: String,
+  type: String,
+  description: String,
+  coordinates: [Number] // [lon, lat]
+}, { _id: false });
+
+// LLM guide for the route (shape enforced by services/enrichmentSchema.js);
+// `sections` records which model generated each section and when
+const enrichmentSchema = new mongoose.Schema({
+  title: String,
+  overview: String,
+  bestWindows: [String],
+  segments: [new mongoose.Schema({
+    name: String,
+    description: String,
+    difficulty: { type: String, enum: ['easy', 'moderate', 'hard'] },
+    highlights: [String]
+  }, { _id: false })],
+  pois: [poiSchema],
+  safety_tips: [String],
+  gear_checklist: [String],
+  food_stops: [new mongoose.Schema({ name: String, type: String, description: String }, { _id: false })],
+  photo_spots: [new mongoose.Schema({ name: String, description: String, best_time: String }, { _id: false })],
+  model: String,
+  promptVersion: String,
+  generatedAt: Date,
+  sections: {
+    type: Map,
+    of: new mongoose.Schema({ model: String, promptVersion: String, generatedAt: Date }, { _id: false }),
+    default: () => new Map()
+  }
+}, { _id: false });
+
+// GeoJSON shapes for the 2dsphere indexes
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: [Number] // [lon, lat]
+}, { _id: false });
+
+const polygonSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+  coordinates: [[[Number]]]
+}, { _id: false });
 
 const routeSchema = new mongoose.Schema({
   username: { type: String, required: true },
@@ -9,15 +84,121 @@ const routeSchema = new mongoose.Schema({
   type: { type: String, enum: ['hike', 'bike'] },
   pathEncoded: { type: String, required: true },
   pathDaysEncoded: { type: [String], default: [] },
+  distanceKm: { type: Number, default: null },
+  dayDistancesKm: { type: [Number], default: [] },
+  pois: { type: [poiSchema], default: [] },
+  overnightStops: { type: [overnightStopSchema], default: [] },
+  elevation: { type: elevationSchema, default: null },
+  difficulty: { type: String, enum: ['easy', 'moderate', 'hard'], default: null },
+  timeEstimate: { type: timeEstimateSchema, default: null },
+  enrichment: { type: enrichmentSchema, default: null },
   isSaved: { type: Boolean, default: false },
   savedAt: { type: Date, default: null },
-  lastViewedAt: { type: Date, default: Date.now }
+  lastViewedAt: { type: Date, default: Date.now },
+  shareToken: { type: String, default: undefined },
+  sharedAt: { type: Date, default: null },
+  // Geometry version; earlier versions are kept as RouteVersion documents
+  version: { type: Number, default: 1 },
+  // Derived from the path on save, for list filters (see routes/routes.js GET /)
+  dayCount: { type: Number, default: 1 },
+  startPoint: { type: pointSchema, default: undefined },
+  bounds: { type: polygonSchema, default: undefined }
 }, { timestamps: true });
 
 // Add indexes for efficient querying
 routeSchema.index({ username: 1, isSaved: 1 });
 routeSchema.index({ username: 1, lastViewedAt: -1 });
 routeSchema.index({ username: 1, savedAt: -1 });
+routeSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+routeSchema.index({ username: 1, createdAt: -1 });
+routeSchema.index({ startPoint: '2dsphere' });
+routeSchema.index({ bounds: '2dsphere' });
+routeSchema.index({ name: 'text', description: 'text', destination: 'text' }, { weights: { name: 3, destination: 2, description: 1 } });
+
+// Bounding box of the path as a closed GeoJSON polygon. A tiny pad keeps straight
+// north-south or east-west routes from producing a degenerate polygon.
+function boundsPolygon(path) {
+  const pad = 0.0005;
+  const [minLon, minLat, maxLon, maxLat] = path.reduce(
+    ([x1, y1, x2, y2], [lon, lat]) => [Math.min(x1, lon), Math.min(y1, lat), Math.max(x2, lon), Math.max(y2, lat)],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+  const [w, s, e, n] = [Math.max(minLon - pad, -180), Math.max(minLat - pad, -90), Math.min(maxLon + pad, 180), Math.min(maxLat + pad, 90)];
+  return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+}
+
+// Fill the fields derived from the geometry (start point, bounds, day count, distance).
+// Points outside the valid lon/lat ranges are left out so the 2dsphere indexes never
+// reject the document; returns false when no valid point is left (geo fields unset).
+routeSchema.methods.updateSearchFields = function() {
+  const path = decodePath(this.pathEncoded);
+  if (path.length === 0) return false;
+  const points = path.filter(isValidPosition);
+  this.startPoint = points.length ? { type: 'Point', coordinates: points[0] } : undefined;
+  this.bounds = points.length ? boundsPolygon(points) : undefined;
+  this.dayCount = this.pathDaysEncoded?.length || 1;
+  if (this.distanceKm === null || this.distanceKm === undefined) {
+    this.distanceKm = Number(calculateRouteDistanceKm(path).toFixed(1));
+  }
+  return points.length > 0;
+};
+
+routeSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('pathEncoded') || this.isModified('pathDaysEncoded')) {
+    this.updateSearchFields();
+  }
+  next();
+});
+
+// One-off fill for routes saved before the search fields existed. Routes with unusable
+// legacy geometry are logged and skipped (they are retried on the next start).
+routeSchema.statics.backfillSearchFields = async function() {
+  let updated = 0;
+  let skipped = 0;
+  for await (const route of this.find({ startPoint: { $exists: false } })) {
+    try {
+      if (!route.updateSearchFields()) {
+        console.warn(`Route ${route._id} has no valid geometry; search fields not filled`);
+        skipped++;
+        continue;
+      }
+      await route.save({ timestamps: false });
+      updated++;
+    } catch (error) {
+      console.warn(`Could not fill search fields on route ${route._id}:`, error.message);
+      skipped++;
+    }
+  }
+  if (updated) console.log(`Filled search fields on ${updated} route(s)`);
+  if (skipped) console.warn(`Skipped ${skipped} route(s) while filling search fields`);
+};
+
+// Fields visible through a public share link (no owner or bookkeeping fields)
+const SHARED_FIELDS = [
+  'name', 'description', 'destination', 'type',
+  'pathEncoded', 'pathDaysEncoded', 'distanceKm', 'dayDistancesKm',
+  'pois', 'overnightStops', 'elevation', 'difficulty', 'timeEstimate', 'enrichment',
+  'createdAt', 'updatedAt'
+];
+
+routeSchema.methods.toSharedJSON = function() {
+  const route = this.toObject({ flattenMaps: true });
+  return Object.fromEntries(SHARED_FIELDS.map(field => [field, route[field] ?? null]));
+};
 
+// Merge freshly generated enrichment sections into the stored enrichment,
+// leaving sections that were not regenerated untouched
+routeSchema.methods.applyEnrichment = function(sections, { model, promptVersion = null, generatedAt = new Date() }) {
+  if (!this.enrichment) {
+    this.enrichment = {};
+  }
+  for (const [section, value] of Object.entries(sections)) {
+    this.enrichment[section] = value;
+    this.enrichment.sections.set(section, { model, promptVersion, generatedAt });
+  }
+  this.enrichment.model = model;
+  this.enrichment.promptVersion = promptVersion;
+  this.enrichment.generatedAt = generatedAt;
+};
 
 module.exports = mongoose.model('Route', routeSchema); 
\ No newline at end of file
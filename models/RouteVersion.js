@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a route's geometry before a geometry edit or restore.
+// The route itself always holds the latest version (Route.version).
+const routeVersionSchema = new mongoose.Schema({
+  routeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', required: true },
+  username: { type: String, required: true },
+  version: { type: Number, required: true },
+  // The edit that replaced this version ("replace-day", "move-waypoint", "reroute", "restore")
+  replacedBy: String,
+  pathEncoded: { type: String, required: true },
+  pathDaysEncoded: { type: [String], default: [] },
+  distanceKm: Number,
+  dayDistancesKm: { type: [Number], default: [] },
+  overnightStops: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  elevation: { type: mongoose.Schema.Types.Mixed, default: null },
+  difficulty: { type: String, default: null },
+  timeEstimate: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: true });
+
+routeVersionSchema.index({ routeId: 1, version: -1 }, { unique: true });
+
+// Geometry fields copied between Route and RouteVersion
+routeVersionSchema.statics.GEOMETRY_FIELDS = [
+  'pathEncoded', 'pathDaysEncoded', 'distanceKm', 'dayDistancesKm',
+  'overnightStops', 'elevation', 'difficulty', 'timeEstimate'
+];
+
+module.exports = mongoose.model('RouteVersion', routeVersionSchema);
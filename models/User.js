@@ -2,6 +2,33 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived; clients renew them with POST /api/token/refresh
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+// This many wrong passwords in a row lock the account for LOGIN_LOCKOUT_MINUTES
+const LOGIN_MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+
+// Pace multiplier passed to the time estimates for each fitness level
+const FITNESS_FACTORS = { beginner: 0.8, average: 1, fit: 1.2, athlete: 1.4 };
+
+// Profile settings used as request defaults (see services/profile.js); all optional
+const preferencesSchema = new mongoose.Schema({
+  activity: { type: String, enum: ['hike', 'bike'] },
+  // Always stored in km, whatever `units` says
+  kmPerDay: { type: Number, min: 1, max: 300 },
+  fitnessLevel: { type: String, enum: Object.keys(FITNESS_FACTORS) },
+  units: { type: String, enum: ['km', 'mi'], default: 'km' },
+  // Language code for enrichment texts, e.g. "en" or "de"
+  language: { type: String, trim: true },
+  homeLocation: {
+    type: new mongoose.Schema({
+      name: { type: String, required: true, trim: true },
+      coordinates: { type: [Number], default: undefined } // [lon, lat]
+    }, { _id: false }),
+    default: undefined
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -19,11 +46,47 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: true
+  },
+  // Set once the address is confirmed through the link in the verification email
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Hashes of single-use tokens mailed out by services/accountEmails.js
+  verificationTokenHash: String,
+  verificationTokenExpiresAt: Date,
+  passwordResetTokenHash: String,
+  passwordResetTokenExpiresAt: Date,
+  // Consecutive wrong passwords and the resulting temporary lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // "admin" unlocks /api/admin; set directly in the database
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  preferences: {
+    type: preferencesSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ verificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -42,17 +105,49 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Seconds until a login lock expires (0 when not locked)
+userSchema.methods.lockedForSeconds = function() {
+  const ms = this.lockedUntil ? this.lockedUntil.getTime() - Date.now() : 0;
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+};
+
+// Count a wrong password; locks the account after LOGIN_MAX_FAILED_ATTEMPTS in a row.
+// Atomic, so parallel attempts are all counted. Returns the lock in seconds (0 if none).
+userSchema.methods.recordFailedLogin = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < LOGIN_MAX_FAILED_ATTEMPTS) return 0;
+
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+  await this.constructor.updateOne({ _id: this._id }, { $set: { failedLoginAttempts: 0, lockedUntil } });
+  this.lockedUntil = lockedUntil;
+  return this.lockedForSeconds();
+};
+
+userSchema.methods.recordSuccessfulLogin = async function() {
+  if (this.failedLoginAttempts === 0 && !this.lockedUntil) return;
+  this.failedLoginAttempts = 0;
+  this.lockedUntil = null;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { failedLoginAttempts: 0, lockedUntil: null } });
+};
+
+// Method to generate JWT access token for a session (see services/sessions.js)
+userSchema.methods.generateAuthToken = function(sessionId) {
 
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET environment variable is required');
   }
   return jwt.sign(
-    { userId: this._id, username: this.username },
+    { userId: this._id, username: this.username, sid: String(sessionId) },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 };
 
+userSchema.statics.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
+userSchema.statics.FITNESS_FACTORS = FITNESS_FACTORS;
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { validate, oneOf } = require('../middleware/validate');
+const { cacheStats, purgeCaches } = require('../services/cache');
+
+const CACHE_NAMESPACES = ['geocode', 'directions'];
+
+// GET /api/admin/cache - Hit/miss counters and in-memory size per cache
+router.get('/cache', auth, admin, (req, res) => {
+  res.json(cacheStats());
+});
+
+// DELETE /api/admin/cache?namespace=geocode|directions - Purge one cache or all of them
+router.delete('/cache', auth, admin, validate({ query: { namespace: oneOf(CACHE_NAMESPACES) } }), async (req, res) => {
+  const purged = await purgeCaches(req.query.namespace);
+
+  res.json({ message: "Cache purged", purged });
+});
+
+module.exports = router;
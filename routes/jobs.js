@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const preferenceDefaults = require('../middleware/preferences');
+const { limits } = require('../middleware/rateLimit');
+const { invalid, notFound, conflict } = require('../middleware/errors');
+const { validate, idParams } = require('../middleware/validate');
+const { generateRouteBody, generateTripBody } = require('./schemas');
+const Job = require('../models/Job');
+const { submitJob, cancelJob } = require('../services/jobs');
+const { parseGenerateOptions, parseTripOptions } = require('../services/routeGenerator');
+
+// Submit a background job after validating the body with `parse`
+const submit = (kind, parse) => async (req, res) => {
+  const { value: options, error } = parse(req.body);
+
+  if (error) {
+    throw invalid(error);
+  }
+
+  const job = await submitJob(kind, req.user.username, options);
+
+  res.status(202)
+    .location(`${req.baseUrl}/${job._id}`)
+    .json({ jobId: job._id, status: job.status });
+};
+
+// POST /api/jobs/generate-route - Start route generation in the background
+// Takes the same body as /api/generate-route; poll GET /api/jobs/:id for the result.
+router.post('/generate-route', auth, preferenceDefaults('generate-route'), validate({ body: generateRouteBody }), limits.generation, submit('generate-route', parseGenerateOptions));
+
+// POST /api/jobs/generate-trip - Same for /api/generate-trip
+router.post('/generate-trip', auth, preferenceDefaults('generate-trip'), validate({ body: generateTripBody }), limits.generation, submit('generate-trip', parseTripOptions));
+
+// GET /api/jobs/:id - Job status, progress and (once succeeded) the result
+router.get('/:id', auth, validate({ params: idParams }), async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.id, username: req.user.username });
+
+  if (!job) {
+    throw notFound("Job not found");
+  }
+
+  res.json(job.toStatusJSON());
+});
+
+// POST /api/jobs/:id/cancel - Cancel a queued or running job
+router.post('/:id/cancel', auth, validate({ params: idParams }), async (req, res) => {
+  const job = await cancelJob(req.params.id, req.user.username);
+
+  if (!job) {
+    throw notFound("Job not found");
+  }
+
+  if (['succeeded', 'failed'].includes(job.status)) {
+    throw conflict(`Job already ${job.status}`, { job: job.toStatusJSON() });
+  }
+
+  res.json({ message: "Cancellation requested", job: job.toStatusJSON() });
+});
+
+module.exports = router;
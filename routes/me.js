@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { forbidden } = require('../middleware/errors');
+const {
+  validate, string, number, oneOf, position, object, routeType, language, units
+} = require('../middleware/validate');
+const User = require('../models/User');
+const { publicProfile, updatePreferences, deleteAccount } = require('../services/profile');
+
+// Every field is optional (null passes validation and clears it)
+const preferencesBody = {
+  activity: routeType(),
+  kmPerDay: number({ min: 1, max: 300 }),
+  fitnessLevel: oneOf(Object.keys(User.FITNESS_FACTORS)),
+  units: units(),
+  language: language(),
+  homeLocation: object({
+    name: string({ required: true, max: 200 }),
+    coordinates: position()
+  })
+};
+
+// GET /api/me - Profile and preferences of the logged-in user
+router.get('/', auth, async (req, res) => {
+  res.json(publicProfile(req.user));
+});
+
+// PATCH /api/me - Update preferences; fields left out are kept, null clears one
+// Body: { preferences: { activity, kmPerDay, fitnessLevel, units, language, homeLocation } }
+router.patch('/', auth, validate({ body: { preferences: object(preferencesBody, { required: true }) } }), async (req, res) => {
+  const changes = Object.fromEntries(
+    Object.keys(preferencesBody).map(field => [field, req.body.preferences[field]])
+  );
+
+  updatePreferences(req.user, changes);
+  await req.user.save();
+
+  res.json(publicProfile(req.user));
+});
+
+// DELETE /api/me - Delete the account with its routes, jobs and sessions
+// Body: { password } – confirms the request comes from the account owner
+router.delete('/', auth, validate({ body: { password: string({ required: true, max: 200 }) } }), async (req, res) => {
+  if (!(await req.user.comparePassword(req.body.password))) {
+    throw forbidden("Password is incorrect");
+  }
+
+  const deleted = await deleteAccount(req.user);
+
+  res.json({ message: "Account deleted", deleted });
+});
+
+module.exports = router;
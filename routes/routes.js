@@ -1,177 +1,482 @@
+const crypto = require('crypto');
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { invalid, notFound, badGateway, unavailable } = require('../middleware/errors');
+const {
+  validate, string, number, integer, boolean, oneOf, isoDate, encodedPath, array, object, any, idParams, routeType
+} = require('../middleware/validate');
 const Route = require('../models/Route');
+const { calculateRouteDistanceKm } = require('../utils/geo');
+const { decodePath } = require('../utils/polyline');
+const { EXPORT_FORMATS, exportRoute } = require('../services/routeExport');
+const { IMPORT_FORMATS, importTrack } = require('../services/routeImport');
+const { gradeRoute } = require('../services/difficulty');
+const { estimateMovingTime } = require('../services/timeEstimate');
+const { ENRICHMENT_SECTIONS, generateEnrichment } = require('../services/enrichment');
+const { validateEnrichment } = require('../services/enrichmentSchema');
+const { getRouteForecast, forecastForEnrichment } = require('../services/weather');
+const { EDIT_OPERATIONS, parseGeometryEdit, applyGeometryEdit, restoreVersion } = require('../services/routeEditing');
+const { SORT_FIELDS, parseRouteListQuery, nextCursor } = require('../services/routeQuery');
+const RouteVersion = require('../models/RouteVersion');
 
-// POST /api/routes - Create a new route
-router.post('/', auth, async (req, res) => {
-  try {
-    const { name, description, destination, type, pathEncoded, pathDaysEncoded } = req.body;
-    const username = req.user.username;
-    
-    if (!username || !name || !destination || !type || !pathEncoded) {
-      return res.status(400).json({ message: "Username, name, destination, type, and pathEncoded are required" });
-    }
+// Track uploads are parsed in memory; 10 MB covers multi-day GPX recordings
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
-    // Validate pathEncoded is a non-empty string
-    if (typeof pathEncoded !== 'string' || pathEncoded.trim() === '') {
-      return res.status(400).json({ message: "pathEncoded must be a non-empty string" });
-    }
+// Distance of the full path and of each day, computed from the encoded polylines
+function routeDistances(pathEncoded, pathDaysEncoded = []) {
+  const km = (encoded) => Number(calculateRouteDistanceKm(decodePath(encoded)).toFixed(1));
+  return {
+    distanceKm: km(pathEncoded),
+    dayDistancesKm: pathDaysEncoded.map(km)
+  };
+}
 
-    // Validate pathDaysEncoded if provided
-    if (pathDaysEncoded && !Array.isArray(pathDaysEncoded)) {
-      return res.status(400).json({ message: "pathDaysEncoded must be an array of strings" });
-    }
+// Loads the user's route :id or answers 404
+async function findOwnRoute(req) {
+  const route = await Route.findOne({ _id: req.params.id, username: req.user.username });
+  if (!route) {
+    throw notFound("Route not found");
+  }
+  return route;
+}
+
+const createRouteBody = {
+  name: string({ required: true, max: 200 }),
+  description: string({ max: 5000 }),
+  destination: string({ required: true, max: 200 }),
+  type: routeType({ required: true }),
+  pathEncoded: encodedPath({ required: true }),
+  pathDaysEncoded: array(encodedPath({ required: true }), { max: 30 }),
+  pois: array(object({})),
+  overnightStops: array(object({})),
+  elevation: object({}),
+  difficulty: oneOf(['easy', 'moderate', 'hard']),
+  timeEstimate: object({}),
+  enrichment: object({})
+};
 
-    const newRoute = new Route({
-      username,
-      name,
-      description,
-      destination,
-      type,
-      pathEncoded,
-      pathDaysEncoded,
-      isSaved: false,
-      savedAt: null,
-      lastViewedAt: new Date()
+// POST /api/routes - Create a new route
+router.post('/', auth, validate({ body: createRouteBody }), async (req, res) => {
+  const { name, description, destination, type, pathEncoded, pathDaysEncoded, pois, overnightStops, elevation, difficulty, timeEstimate, enrichment } = req.body;
+  const username = req.user.username;
+
+  const newRoute = new Route({
+    username,
+    name,
+    description,
+    destination,
+    type,
+    pathEncoded,
+    pathDaysEncoded,
+    ...routeDistances(pathEncoded, pathDaysEncoded),
+    pois,
+    overnightStops,
+    elevation,
+    difficulty,
+    timeEstimate,
+    isSaved: false,
+    savedAt: null,
+    lastViewedAt: new Date()
+  });
+
+  // Keep the guide returned by /api/llm/enrich when the client saves it with the route.
+  // The generic fallback stub is not worth storing; invalid items are dropped.
+  if (enrichment && enrichment.source !== 'fallback') {
+    const { value: sections } = validateEnrichment(enrichment, {
+      sections: ENRICHMENT_SECTIONS.filter(section => enrichment[section] !== undefined),
+      path: decodePath(pathEncoded)
+    });
+    newRoute.applyEnrichment(sections, {
+      model: enrichment.model || null,
+      promptVersion: enrichment.promptVersion || null,
+      generatedAt: enrichment.generatedAt ? new Date(enrichment.generatedAt) : new Date()
     });
+  }
+
+  await newRoute.save();
+
+  res.status(201).json({ message: "Route created successfully", route: newRoute });
+});
+
+// Multipart fields next to the uploaded file
+const importBody = {
+  type: routeType({ required: true }),
+  name: string({ max: 200 }),
+  description: string({ max: 5000 }),
+  destination: string({ max: 200 }),
+  format: string({ max: 20 })
+};
 
-    await newRoute.save();
+// POST /api/routes/import - Create a route from an uploaded GPX or GeoJSON file
+// multipart/form-data: file, type (hike|bike), optional name, description, destination, format
+router.post('/import', auth, upload.single('file'), validate({ body: importBody }), async (req, res) => {
+  const { type, destination, format } = req.body;
+  const username = req.user.username;
+
+  if (!req.file) {
+    throw invalid("A GPX or GeoJSON file is required", [{ location: 'body', path: 'file', message: 'is required' }]);
+  }
 
-    res.status(201).json({ message: "Route created successfully", route: newRoute });
-  } catch (error) {
-    console.error('Create route error:', error);
-    res.status(500).json({ message: "Server error" });
+  if (format && !IMPORT_FORMATS.includes(format.toLowerCase())) {
+    throw invalid(`format must be one of ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let track;
+  try {
+    track = importTrack(req.file.buffer.toString('utf8'), { format, filename: req.file.originalname });
+  } catch (parseError) {
+    throw invalid(`Could not read track: ${parseError.message}`);
   }
+
+  const fallbackName = req.file.originalname.replace(/\.[^.]+$/, '') || 'Imported route';
+
+  const newRoute = new Route({
+    username,
+    name: req.body.name || track.name || fallbackName,
+    description: req.body.description || track.description || undefined,
+    destination,
+    type,
+    pathEncoded: track.pathEncoded,
+    pathDaysEncoded: track.pathDaysEncoded,
+    distanceKm: track.distanceKm,
+    dayDistancesKm: track.dayDistancesKm,
+    pois: track.pois,
+    elevation: track.elevation,
+    difficulty: gradeRoute(type, track.dayDistancesKm, track.elevation),
+    timeEstimate: estimateMovingTime(type, track.dayDistancesKm, track.elevation),
+    isSaved: false,
+    savedAt: null,
+    lastViewedAt: new Date()
+  });
+
+  await newRoute.save();
+
+  res.status(201).json({ message: "Route imported successfully", route: newRoute });
 });
 
+// Types only; services/routeQuery.js parses and checks the values
+const listQuery = {
+  saved: oneOf(['true', 'false']),
+  q: string({ max: 200 }),
+  type: routeType(),
+  minKm: number({ min: 0 }),
+  maxKm: number({ min: 0 }),
+  minDays: integer({ min: 1 }),
+  maxDays: integer({ min: 1 }),
+  createdFrom: string(),
+  createdTo: string(),
+  savedFrom: string(),
+  savedTo: string(),
+  near: string(),
+  radiusKm: number({ min: 0 }),
+  bbox: string(),
+  sort: oneOf(SORT_FIELDS),
+  order: oneOf(['asc', 'desc']),
+  limit: integer({ min: 1 }),
+  cursor: string({ max: 200 })
+};
+
 // GET /api/routes - List routes for a user
-router.get('/', auth, async (req, res) => {
-  try {
-    const username = req.user.username;
-    const { saved } = req.query;
-    
-    let query = { username };
-    let sort = {};
-    let limit = 60;
-
-    if (saved === 'true') {
-      // Return saved routes sorted by savedAt desc
-      query.isSaved = true;
-      sort = { savedAt: -1 };
-    } else if (saved === 'false') {
-      // Return only not-saved routes sorted by lastViewedAt desc
-      query.isSaved = false;
-      sort = { lastViewedAt: -1 };
-    } else {
-      // Return all user routes sorted by lastViewedAt desc, limit 60
-      sort = { lastViewedAt: -1 };
-    }
+// Filters, sort and cursor pagination are described in services/routeQuery.js; the
+// cursor for the next page comes back in the X-Next-Cursor and Link headers.
+router.get('/', auth, validate({ query: listQuery }), async (req, res) => {
+  const { value: listOptions, error } = parseRouteListQuery(req.query, req.user.username);
 
-    const routes = await Route.find(query).sort(sort).limit(limit);
-    res.json(routes);
-  } catch (error) {
-    console.error('Get routes error:', error);
-    res.status(500).json({ message: "Server error" });
+  if (error) {
+    throw invalid(error);
   }
+
+  const { filter, sort, limit, sortField } = listOptions;
+  const routes = await Route.find(filter).sort(sort).limit(limit);
+
+  const cursor = nextCursor(routes, limit, sortField);
+  if (cursor) {
+    const params = new URLSearchParams({ ...req.query, cursor });
+    res.set('X-Next-Cursor', cursor);
+    res.links({ next: `${req.baseUrl}?${params}` });
+  }
+  res.json(routes);
 });
 
 // GET /api/routes/:id - Get one route and update lastViewedAt
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, validate({ params: idParams }), async (req, res) => {
+  const route = await findOwnRoute(req);
+
+  // Update lastViewedAt
+  route.lastViewedAt = new Date();
+  await route.save();
+
+  res.json(route);
+});
+
+// GET /api/routes/:id/export?format=gpx|kml|geojson - Download a route as a file
+router.get('/:id/export', auth, validate({ params: idParams, query: { format: string({ max: 20 }) } }), async (req, res) => {
+  const format = String(req.query.format || 'gpx').toLowerCase();
+
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw invalid(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const route = await findOwnRoute(req);
+
+  const { body, contentType, filename } = exportRoute(route, format);
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+});
+
+// Decoded geometry of a stored route
+function routeGeometry(route) {
+  const path = decodePath(route.pathEncoded);
+  const pathDays = route.pathDaysEncoded.length ? route.pathDaysEncoded.map(decodePath) : [path];
+  return { path, pathDays };
+}
+
+// GET /api/routes/:id/weather?startDate=YYYY-MM-DD - Daily forecast along the route
+// Day N is planned for startDate + N - 1 (startDate defaults to today).
+router.get('/:id/weather', auth, validate({ params: idParams, query: { startDate: isoDate() } }), async (req, res) => {
+  const route = await findOwnRoute(req);
+
+  let days;
   try {
-    const { id } = req.params;
-    const username = req.user.username;
+    days = await getRouteForecast(routeGeometry(route).pathDays, req.query.startDate);
+  } catch (weatherError) {
+    throw badGateway("Weather forecast unavailable. Please try again later.", { cause: weatherError });
+  }
 
-    const route = await Route.findOne({ _id: id, username });
-    
-    if (!route) {
-      return res.status(404).json({ message: "Route not found" });
-    }
+  if (!days) {
+    throw unavailable("Weather forecasts are disabled");
+  }
 
-    // Update lastViewedAt
-    route.lastViewedAt = new Date();
-    await route.save();
+  res.json({ days });
+});
 
-    res.json(route);
-  } catch (error) {
-    console.error('Get route error:', error);
-    res.status(500).json({ message: "Server error" });
+// Regenerate the given enrichment sections of a stored route and merge them in.
+// Without `weatherDaily` the forecast for `startDate` (default today) is looked up.
+// `language` and `units` come from the user's preferences.
+async function regenerateEnrichment(route, sections, { weatherDaily, startDate, language, units } = {}) {
+  const { path, pathDays } = routeGeometry(route);
+  if (!weatherDaily) {
+    weatherDaily = await forecastForEnrichment(pathDays, startDate);
   }
+
+  const { enrichment, model, promptVersion, generatedAt } = await generateEnrichment(
+    { destination: route.destination || route.name, type: route.type, path, pathDays, weatherDaily, language, units },
+    { sections, context: route.enrichment }
+  );
+  route.applyEnrichment(enrichment, { model, promptVersion, generatedAt });
+  await route.save();
+}
+
+// GET /api/routes/:id/enrichment - Stored LLM enrichment of a route
+router.get('/:id/enrichment', auth, validate({ params: idParams }), async (req, res) => {
+  const route = await findOwnRoute(req);
+
+  if (!route.enrichment) {
+    throw notFound("Route has no enrichment yet");
+  }
+
+  res.json(route.enrichment);
 });
 
-// PATCH /api/routes/:id/save - Toggle save/unsave
-router.patch('/:id/save', auth, async (req, res) => {
+const enrichmentRequest = {
+  params: { ...idParams, section: oneOf(ENRICHMENT_SECTIONS) },
+  body: { weatherDaily: any(), startDate: isoDate() }
+};
+
+// POST /api/routes/:id/enrichment - (Re)generate the whole enrichment
+// POST /api/routes/:id/enrichment/:section - Regenerate one section, keep the rest
+router.post(['/:id/enrichment', '/:id/enrichment/:section'], auth, validate(enrichmentRequest), limits.enrichment, async (req, res) => {
+  const { section } = req.params;
+  const { weatherDaily, startDate } = req.body || {};
+
+  const route = await findOwnRoute(req);
+
   try {
-    const { id } = req.params;
-    const { save } = req.body;
-    const username = req.user.username;
+    const { language, units } = req.user.preferences || {};
+    await regenerateEnrichment(route, section ? [section] : ENRICHMENT_SECTIONS, { weatherDaily, startDate, language, units });
+  } catch (llmError) {
+    throw badGateway("Enrichment generation failed. Please try again later.", { cause: llmError });
+  }
+
+  res.json({ message: section ? `Section ${section} regenerated` : "Enrichment generated", enrichment: route.enrichment });
+});
+
+const updateRouteBody = {
+  name: string({ min: 1, max: 200 }),
+  description: string({ max: 5000 }),
+  destination: string({ max: 200 }),
+  // The rest of the edit is checked by parseGeometryEdit
+  edit: object({ op: oneOf(EDIT_OPERATIONS, { required: true }) })
+};
+
+// PATCH /api/routes/:id - Edit metadata and/or the geometry of a route
+// Body: any of name, description, destination, plus an optional geometry `edit`:
+//   { op: "replace-day", day, pathEncoded? , via? }  new path for one day, or re-routed through `via`
+//   { op: "move-waypoint", from: [lon, lat], to: [lon, lat] }  drag a point of the route
+//   { op: "reroute", from: [lon, lat], to: [lon, lat], via? }  re-route between two points of one day
+// Geometry edits store the previous geometry as a version (see /:id/versions).
+router.patch('/:id', auth, validate({ params: idParams, body: updateRouteBody }), async (req, res) => {
+  const { name, description, destination, edit } = req.body || {};
 
-    if (typeof save !== 'boolean') {
-      return res.status(400).json({ message: "save parameter must be a boolean" });
+  let geometryEdit = null;
+  if (edit !== undefined) {
+    const parsed = parseGeometryEdit(edit);
+    if (parsed.error) {
+      throw invalid(parsed.error);
     }
+    geometryEdit = parsed.value;
+  }
+
+  const route = await findOwnRoute(req);
 
-    const route = await Route.findOne({ _id: id, username });
-    
-    if (!route) {
-      return res.status(404).json({ message: "Route not found" });
+  if (name !== undefined) route.name = name.trim();
+  if (description !== undefined) route.description = description ?? undefined;
+  if (destination !== undefined) route.destination = destination ?? undefined;
+
+  if (geometryEdit) {
+    let result;
+    try {
+      result = await applyGeometryEdit(route, geometryEdit);
+    } catch (routingError) {
+      throw badGateway("Re-routing failed. Please try again later.", { cause: routingError });
+    }
+    if (result.error) {
+      throw invalid(result.error);
     }
+  }
 
-    route.isSaved = save;
-    route.savedAt = save ? new Date() : null;
-    await route.save();
+  await route.save();
 
-    res.json({ 
-      message: save ? "Route saved successfully" : "Route unsaved successfully", 
-      route 
-    });
-  } catch (error) {
-    console.error('Save route error:', error);
-    res.status(500).json({ message: "Server error" });
+  res.json({ message: "Route updated successfully", route });
+});
+
+// GET /api/routes/:id/versions - Geometry version history, newest first
+router.get('/:id/versions', auth, validate({ params: idParams }), async (req, res) => {
+  const route = await findOwnRoute(req);
+
+  const versions = await RouteVersion.find({ routeId: route._id, username: req.user.username })
+    .sort({ version: -1 })
+    .select('version replacedBy distanceKm dayDistancesKm difficulty createdAt');
+
+  res.json({
+    currentVersion: route.version,
+    versions: [
+      { version: route.version, current: true, distanceKm: route.distanceKm, dayDistancesKm: route.dayDistancesKm, difficulty: route.difficulty, createdAt: route.updatedAt },
+      ...versions.map(v => ({
+        version: v.version,
+        current: false,
+        replacedBy: v.replacedBy,
+        distanceKm: v.distanceKm,
+        dayDistancesKm: v.dayDistancesKm,
+        difficulty: v.difficulty,
+        createdAt: v.createdAt
+      }))
+    ]
+  });
+});
+
+const versionParams = { ...idParams, version: integer({ required: true, min: 1 }) };
+
+// GET /api/routes/:id/versions/:version - Full geometry of an earlier version
+router.get('/:id/versions/:version', auth, validate({ params: versionParams }), async (req, res) => {
+  const snapshot = await RouteVersion.findOne({ routeId: req.params.id, username: req.user.username, version: Number(req.params.version) });
+
+  if (!snapshot) {
+    throw notFound("Version not found");
   }
+
+  res.json(snapshot);
 });
 
-// PATCH /api/routes/:id/touch - Update only lastViewedAt
-router.patch('/:id/touch', auth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const username = req.user.username;
+// POST /api/routes/:id/versions/:version/restore - Make an earlier version current again
+// The replaced geometry is kept as a version too, so a restore can be undone.
+router.post('/:id/versions/:version/restore', auth, validate({ params: versionParams }), async (req, res) => {
+  const version = Number(req.params.version);
 
-    const route = await Route.findOne({ _id: id, username });
-    
-    if (!route) {
-      return res.status(404).json({ message: "Route not found" });
-    }
+  const route = await findOwnRoute(req);
 
-    route.lastViewedAt = new Date();
-    await route.save();
+  const snapshot = await RouteVersion.findOne({ routeId: route._id, username: req.user.username, version });
 
-    res.json({ message: "Route last viewed time updated", route });
-  } catch (error) {
-    console.error('Touch route error:', error);
-    res.status(500).json({ message: "Server error" });
+  if (!snapshot) {
+    throw notFound("Version not found");
   }
+
+  await restoreVersion(route, snapshot);
+  await route.save();
+
+  res.json({ message: `Version ${version} restored`, route });
 });
 
-// DELETE /api/routes/:id - Delete a route (keeping existing functionality)
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const username = req.user.username;
+// PATCH /api/routes/:id/save - Toggle save/unsave
+router.patch('/:id/save', auth, validate({ params: idParams, body: { save: boolean({ required: true }) } }), async (req, res) => {
+  const { save } = req.body;
 
-    const deletedRoute = await Route.findOneAndDelete({ 
-      _id: id, 
-      username 
-    });
+  const route = await findOwnRoute(req);
 
-    if (!deletedRoute) {
-      return res.status(404).json({ message: "Route not found" });
-    }
+  route.isSaved = save;
+  route.savedAt = save ? new Date() : null;
+  await route.save();
+
+  res.json({ 
+    message: save ? "Route saved successfully" : "Route unsaved successfully", 
+    route 
+  });
+});
+
+// POST /api/routes/:id/share - Create (or return the existing) public share token
+router.post('/:id/share', auth, validate({ params: idParams }), async (req, res) => {
+  const route = await findOwnRoute(req);
 
-    res.json({ message: "Route deleted successfully" });
-  } catch (error) {
-    console.error('Delete route error:', error);
-    res.status(500).json({ message: "Server error" });
+  if (!route.shareToken) {
+    // 192 bits of randomness, URL-safe
+    route.shareToken = crypto.randomBytes(24).toString('base64url');
+    route.sharedAt = new Date();
+    await route.save();
   }
+
+  res.json({ message: "Route shared successfully", shareToken: route.shareToken, sharedAt: route.sharedAt });
+});
+
+// DELETE /api/routes/:id/share - Revoke the public share token
+router.delete('/:id/share', auth, validate({ params: idParams }), async (req, res) => {
+  const route = await findOwnRoute(req);
+
+  route.shareToken = undefined;
+  route.sharedAt = null;
+  await route.save();
+
+  res.json({ message: "Route sharing revoked" });
+});
+
+// PATCH /api/routes/:id/touch - Update only lastViewedAt
+router.patch('/:id/touch', auth, validate({ params: idParams }), async (req, res) => {
+  const route = await findOwnRoute(req);
+
+  route.lastViewedAt = new Date();
+  await route.save();
+
+  res.json({ message: "Route last viewed time updated", route });
+});
+
+// DELETE /api/routes/:id - Delete a route (keeping existing functionality)
+router.delete('/:id', auth, validate({ params: idParams }), async (req, res) => {
+  const deletedRoute = await Route.findOneAndDelete({ 
+    _id: req.params.id, 
+    username: req.user.username 
+  });
+
+  if (!deletedRoute) {
+    throw notFound("Route not found");
+  }
+
+  await RouteVersion.deleteMany({ routeId: deletedRoute._id });
+
+  res.json({ message: "Route deleted successfully" });
 });
 
 module.exports = router;
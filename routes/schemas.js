@@ -0,0 +1,58 @@
+const {
+  string, number, integer, boolean, position, array, any, isoDate, routeType, place, language, units
+} = require('../middleware/validate');
+const { MAX_ROUTE_DAYS, MAX_TRIP_DAYS } = require('../services/routeGenerator');
+
+// Request schemas shared by several routers. Field types and ranges are checked here;
+// rules across fields (e.g. minKm <= maxKm) stay in the services' parse functions.
+
+// /api/generate-route and /api/jobs/generate-route
+const generateRouteBody = {
+  destination: string({ required: true, max: 200 }),
+  type: routeType({ required: true }),
+  days: integer({ min: 1, max: MAX_ROUTE_DAYS }),
+  maxKmPerDay: number({ min: 0, max: 300 }),
+  minKmPerDay: number({ min: 0, max: 300 }),
+  fitnessFactor: number({ min: 0.5, max: 2 }),
+  alternatives: integer({ min: 0, max: 5 }),
+  minKm: number({ min: 1 }),
+  maxKm: number({ min: 1 }),
+  points: integer({ min: 2, max: 10 }),
+  seed: integer({ min: 0 })
+};
+
+// /api/generate-trip and /api/jobs/generate-trip
+const generateTripBody = {
+  type: routeType({ required: true }),
+  start: place({ required: true }),
+  end: place(),
+  via: array(place({ required: true }), { max: 20 }),
+  // Trips allow more days: see MAX_TRIP_DAYS
+  days: integer({ min: 1, max: MAX_TRIP_DAYS }),
+  optimize: boolean(),
+  fitnessFactor: number({ min: 0.5, max: 2 })
+};
+
+// Route geometry posted for weather and enrichment
+const pathSpec = (options) => array(position({ required: true }), { min: 1, ...options });
+const pathDaysSpec = (options) => array(pathSpec({ required: true }), { min: 1, ...options });
+
+const enrichBody = {
+  destination: string({ max: 200 }),
+  type: routeType(),
+  path: pathSpec(),
+  pathDays: pathDaysSpec(),
+  weatherDaily: any(),
+  startDate: isoDate(),
+  // Default to the user's preferences
+  language: language(),
+  units: units()
+};
+
+module.exports = {
+  generateRouteBody,
+  generateTripBody,
+  pathSpec,
+  pathDaysSpec,
+  enrichBody
+};
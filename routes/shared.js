@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const Route = require('../models/Route');
+const { notFound } = require('../middleware/errors');
+const { validate, string } = require('../middleware/validate');
+
+// GET /api/shared/:token - Read-only view of a shared route (no auth)
+router.get('/:token', validate({ params: { token: string({ required: true, max: 64 }) } }), async (req, res) => {
+  const { token } = req.params;
+
+  const route = await Route.findOne({ shareToken: token });
+
+  if (!route) {
+    throw notFound("Shared route not found");
+  }
+
+  res.json(route.toSharedJSON());
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMail } = require('./mail');
+const { revokeAllSessions } = require('./sessions');
+
+// Email verification and password reset. Both mail a single-use link with a random
+// token; only its hash is stored on the user, together with an expiry.
+
+const VERIFICATION_TOKEN_TTL_HOURS = Number(process.env.VERIFICATION_TOKEN_TTL_HOURS || 48);
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60);
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Links point at the frontend, which posts the token back to the API
+const appLink = (pathname, token) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+// New random token for `user` (not saved); returns the raw token
+function issueToken(user, field, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  user[`${field}Hash`] = hashToken(token);
+  user[`${field}ExpiresAt`] = new Date(Date.now() + ttlMs);
+  return token;
+}
+
+// User holding a valid `field` token, or null
+const findByToken = (field, token) => User.findOne({
+  [`${field}Hash`]: hashToken(token),
+  [`${field}ExpiresAt`]: { $gt: new Date() }
+});
+
+async function sendVerificationEmail(user) {
+  const token = issueToken(user, 'verificationToken', VERIFICATION_TOKEN_TTL_HOURS * 3600 * 1000);
+  await user.save();
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      appLink('/verify-email', token),
+      '',
+      `The link expires in ${VERIFICATION_TOKEN_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+}
+
+// Returns { user } or { error }
+async function verifyEmail(token) {
+  const user = await findByToken('verificationToken', token);
+  if (!user) {
+    return { error: 'Verification link is invalid or has expired' };
+  }
+  user.verified = true;
+  user.verifiedAt = new Date();
+  user.verificationTokenHash = undefined;
+  user.verificationTokenExpiresAt = undefined;
+  await user.save();
+  return { user };
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = issueToken(user, 'passwordResetToken', PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+  await user.save();
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone (hopefully you) asked to reset your password. Open this link to choose a new one:',
+      appLink('/reset-password', token),
+      '',
+      `The link expires in ${PASSWORD_RESET_TOKEN_TTL_MINUTES} minutes. If you didn't ask for a reset, ignore this email.`
+    ].join('\n')
+  });
+}
+
+// Set a new password and sign out every session. Returns { user } or { error }.
+async function resetPassword(token, password) {
+  const user = await findByToken('passwordResetToken', token);
+  if (!user) {
+    return { error: 'Reset link is invalid or has expired' };
+  }
+  user.password = password;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetTokenExpiresAt = undefined;
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  // The reset link proves access to the mailbox
+  if (!user.verified) {
+    user.verified = true;
+    user.verifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id);
+  return { user };
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail,
+  sendPasswordResetEmail,
+  resetPassword
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/CacheEntry');
+
+// Two-level cache: an in-memory LRU in front of MongoDB (CacheEntry).
+// Each namespace has its own TTL and LRU; the database layer is skipped while
+// MongoDB is not connected, so the cache never blocks or fails a request.
+
+const caches = new Map();
+
+// Map-based LRU: re-inserting on read keeps the most recently used entries last
+function createLru(maxEntries) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, expiresAt) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// JSON with sorted object keys, so equal options give equal cache keys
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const hashKey = (parts) => crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+
+const dbReady = () => mongoose.connection.readyState === 1;
+
+// Cache for one namespace. `wrap(keyParts, load)` returns the cached value or
+// calls `load()` and stores its result (null/undefined results are not cached).
+function createCache(namespace, { ttlSeconds, maxEntries = 500 }) {
+  const lru = createLru(maxEntries);
+  const stats = { memoryHits: 0, dbHits: 0, misses: 0 };
+
+  async function get(key) {
+    const cached = lru.get(key);
+    if (cached !== undefined) {
+      stats.memoryHits++;
+      return cached;
+    }
+    if (dbReady()) {
+      try {
+        const entry = await CacheEntry.findOne({ namespace, key, expiresAt: { $gt: new Date() } }).lean();
+        if (entry) {
+          stats.dbHits++;
+          lru.set(key, entry.value, entry.expiresAt.getTime());
+          return entry.value;
+        }
+      } catch (error) {
+        console.warn(`Cache read failed (${namespace}):`, error.message);
+      }
+    }
+    stats.misses++;
+    return undefined;
+  }
+
+  async function set(key, value) {
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    lru.set(key, value, expiresAt);
+    if (!dbReady()) return;
+    try {
+      await CacheEntry.updateOne(
+        { namespace, key },
+        { value, expiresAt: new Date(expiresAt) },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`Cache write failed (${namespace}):`, error.message);
+    }
+  }
+
+  async function wrap(keyParts, load) {
+    const key = hashKey(keyParts);
+    const cached = await get(key);
+    if (cached !== undefined) return cached;
+    const value = await load();
+    if (value !== null && value !== undefined) await set(key, value);
+    return value;
+  }
+
+  async function purge() {
+    lru.clear();
+    if (!dbReady()) return 0;
+    const { deletedCount } = await CacheEntry.deleteMany({ namespace });
+    return deletedCount;
+  }
+
+  const cache = {
+    namespace,
+    ttlSeconds,
+    wrap,
+    purge,
+    stats: () => ({ ...stats, memoryEntries: lru.size, ttlSeconds })
+  };
+  caches.set(namespace, cache);
+  return cache;
+}
+
+// Counters of every cache, keyed by namespace
+const cacheStats = () =>
+  Object.fromEntries([...caches.values()].map(cache => [cache.namespace, cache.stats()]));
+
+// Purge one namespace (or all). Returns { namespace: deletedDbEntries }.
+async function purgeCaches(namespace) {
+  const targets = namespace ? [caches.get(namespace)].filter(Boolean) : [...caches.values()];
+  const purged = {};
+  for (const cache of targets) {
+    purged[cache.namespace] = await cache.purge();
+  }
+  return purged;
+}
+
+module.exports = {
+  createCache,
+  cacheStats,
+  purgeCaches
+};
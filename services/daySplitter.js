@@ -0,0 +1,158 @@
+const { segmentDistanceKm, calculateRouteDistanceKm } = require('../utils/geo');
+const { loadOvernightPois } = require('./pois');
+
+// Cumulative distance (km) at every vertex of the route
+function cumulativeDistancesKm(coordinates) {
+  const cum = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    cum.push(cum[i - 1] + segmentDistanceKm(coordinates[i - 1], coordinates[i]));
+  }
+  return cum;
+}
+
+// Slice the route at the given vertex indices (each day shares its end vertex with the next day's start)
+function sliceAtIndices(coordinates, splitIdx) {
+  const result = [];
+  let start = 0;
+  for (const idx of splitIdx) {
+    result.push(coordinates.slice(start, idx + 1));
+    start = idx;
+  }
+  result.push(coordinates.slice(start));
+  return result;
+}
+
+// Inverse of the splitters: one path from per-day paths (shared boundary points are not repeated)
+function joinDays(pathDays) {
+  return pathDays.reduce((acc, day) => {
+    const last = acc[acc.length - 1];
+    const first = day[0];
+    const joined = last && first && last[0] === first[0] && last[1] === first[1] ? day.slice(1) : day;
+    return acc.concat(joined);
+  }, []);
+}
+
+// Split a single route into N days by target distance (greedy by cumulative length)
+function splitRouteByDays(coordinates, days) {
+  const total = calculateRouteDistanceKm(coordinates);
+  if (days <= 1 || total === 0) return [coordinates];
+
+  const targetPerDay = total / days;
+  const result = [];
+  let dayStartIdx = 0;
+  let acc = 0;
+
+  for (let i = 1; i < coordinates.length && result.length < days - 1; i++) {
+    acc += segmentDistanceKm(coordinates[i - 1], coordinates[i]);
+    if (acc >= targetPerDay) {
+      result.push(coordinates.slice(dayStartIdx, i + 1));
+      dayStartIdx = i;
+      acc = 0;
+    }
+  }
+  // last day
+  if (dayStartIdx < coordinates.length - 1) {
+    result.push(coordinates.slice(dayStartIdx));
+  } else if (result.length < days) {
+    result.push([coordinates[coordinates.length - 2], coordinates[coordinates.length - 1]]);
+  }
+  return result;
+}
+
+// Best overnight POI for one day boundary: the route vertex must lie inside
+// [target - tolerance, target + tolerance] and the POI within maxDetourKm of it.
+// Score = distance from the target along the route + 2x the detour off the route.
+function pickStop(coordinates, cum, fromIdx, targetKm, toleranceKm, maxDetourKm, pois) {
+  const window = [];
+  for (let i = fromIdx + 1; i < coordinates.length - 1; i++) {
+    if (cum[i] > targetKm + toleranceKm) break;
+    if (cum[i] >= targetKm - toleranceKm) window.push(i);
+  }
+  if (window.length === 0) return null;
+
+  // Cheap bbox prefilter before the per-vertex distance checks
+  const pad = maxDetourKm / 111 * 1.5;
+  const lons = window.map(i => coordinates[i][0]);
+  const lats = window.map(i => coordinates[i][1]);
+  const bbox = [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+  const padLon = pad / Math.max(Math.cos((bbox[1] * Math.PI) / 180), 0.1);
+  const nearby = pois.filter(({ coordinates: [lon, lat] }) =>
+    lon >= bbox[0] - padLon && lon <= bbox[2] + padLon && lat >= bbox[1] - pad && lat <= bbox[3] + pad
+  );
+
+  let best = null;
+  for (const poi of nearby) {
+    for (const i of window) {
+      const detourKm = segmentDistanceKm(poi.coordinates, coordinates[i]);
+      if (detourKm > maxDetourKm) continue;
+      const score = Math.abs(cum[i] - targetKm) + 2 * detourKm;
+      if (!best || score < best.score) {
+        best = { poi, idx: i, detourKm, score };
+      }
+    }
+  }
+  return best;
+}
+
+// Split a route into N days, ending each day at an overnight POI (town, campsite, ...)
+// near the ideal cut point when one exists; otherwise fall back to the even cut.
+// Returns { days, stops } where stops[i] describes where day i + 1 ends.
+function splitRouteAtOvernightStops(coordinates, days, options = {}) {
+  const total = calculateRouteDistanceKm(coordinates);
+  if (days <= 1 || total === 0 || coordinates.length < 3) {
+    return { days: splitRouteByDays(coordinates, days), stops: [] };
+  }
+  // Every day needs at least one segment of its own
+  days = Math.min(days, coordinates.length - 1);
+
+  const targetPerDay = total / days;
+  const {
+    pois = loadOvernightPois(),
+    toleranceKm = Number(process.env.OVERNIGHT_TOLERANCE_KM) || Math.min(Math.max(5, targetPerDay * 0.2), targetPerDay / 3),
+    maxDetourKm = Number(process.env.OVERNIGHT_MAX_DETOUR_KM) || 3
+  } = options;
+
+  const cum = cumulativeDistancesKm(coordinates);
+  const splitIdx = [];
+  const stops = [];
+  let prevIdx = 0;
+
+  for (let day = 1; day < days; day++) {
+    const targetKm = targetPerDay * day;
+    // Keep at least one vertex per remaining day
+    const lastAllowed = coordinates.length - 1 - (days - day);
+    // A stop can only be used for one night
+    const candidates = pois.filter(poi => !stops.some(s => s.snapped && s.name === poi.name));
+    const best = candidates.length
+      ? pickStop(coordinates, cum, prevIdx, targetKm, toleranceKm, maxDetourKm, candidates)
+      : null;
+
+    let idx;
+    if (best && best.idx <= lastAllowed) {
+      idx = best.idx;
+      stops.push({
+        day,
+        name: best.poi.name,
+        type: best.poi.type,
+        coordinates: best.poi.coordinates,
+        detourKm: Number(best.detourKm.toFixed(2)),
+        snapped: true
+      });
+    } else {
+      idx = prevIdx + 1;
+      while (idx < lastAllowed && cum[idx] < targetKm) idx++;
+      stops.push({ day, name: null, type: null, coordinates: coordinates[idx], detourKm: 0, snapped: false });
+    }
+    splitIdx.push(idx);
+    prevIdx = idx;
+  }
+
+  return { days: sliceAtIndices(coordinates, splitIdx), stops };
+}
+
+module.exports = {
+  cumulativeDistancesKm,
+  joinDays,
+  splitRouteByDays,
+  splitRouteAtOvernightStops
+};
@@ -0,0 +1,34 @@
+// Difficulty grading from distance and climbing.
+// Effort is expressed in "flat-equivalent km" (Swiss Leistungskilometer style):
+// every 100m of ascent counts as 1 km on foot and as 2 km on a bike.
+// The hardest day decides the grade of a multi-day route.
+
+const DIFFICULTY_LEVELS = ['easy', 'moderate', 'hard'];
+
+const THRESHOLDS = {
+  hike: { ascentPerKm: 1 / 100, moderate: 12, hard: 22 },
+  bike: { ascentPerKm: 2 / 100, moderate: 50, hard: 90 }
+};
+
+function gradeDay(type, distanceKm, ascentM = 0) {
+  const t = THRESHOLDS[type] || THRESHOLDS.hike;
+  const effortKm = distanceKm + ascentM * t.ascentPerKm;
+  if (effortKm >= t.hard) return 'hard';
+  if (effortKm >= t.moderate) return 'moderate';
+  return 'easy';
+}
+
+// dayDistancesKm: [km, ...]; elevation: result of buildElevationProfile (or null)
+function gradeRoute(type, dayDistancesKm, elevation) {
+  const grades = dayDistancesKm.map((km, i) => gradeDay(type, km, elevation?.days?.[i]?.ascentM || 0));
+  if (grades.length === 0) return 'easy';
+  return grades.reduce((worst, g) =>
+    DIFFICULTY_LEVELS.indexOf(g) > DIFFICULTY_LEVELS.indexOf(worst) ? g : worst
+  );
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  gradeDay,
+  gradeRoute
+};
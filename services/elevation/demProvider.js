@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Elevation from a directory of SRTM .hgt tiles (e.g. N47E008.hgt).
+// Tiles are 1x1 degree grids of big-endian int16 metres, 1201x1201 (3") or
+// 3601x3601 (1") samples, north-west corner first. -32768 marks voids.
+
+const VOID = -32768;
+
+const tileName = (lon, lat) => {
+  const latFloor = Math.floor(lat);
+  const lonFloor = Math.floor(lon);
+  const ns = latFloor >= 0 ? 'N' : 'S';
+  const ew = lonFloor >= 0 ? 'E' : 'W';
+  return `${ns}${String(Math.abs(latFloor)).padStart(2, '0')}${ew}${String(Math.abs(lonFloor)).padStart(3, '0')}.hgt`;
+};
+
+function createDemProvider({ demDir = process.env.ELEVATION_DEM_DIR } = {}) {
+  if (!demDir) {
+    throw new Error('ELEVATION_DEM_DIR environment variable is required for the DEM elevation provider');
+  }
+
+  // tile name -> { buffer, size } or null when the tile is missing
+  const tiles = new Map();
+
+  const loadTile = (name) => {
+    if (!tiles.has(name)) {
+      const file = path.resolve(demDir, name);
+      if (fs.existsSync(file)) {
+        const buffer = fs.readFileSync(file);
+        tiles.set(name, { buffer, size: Math.round(Math.sqrt(buffer.length / 2)) });
+      } else {
+        tiles.set(name, null);
+      }
+    }
+    return tiles.get(name);
+  };
+
+  const sample = (tile, row, col) => {
+    const value = tile.buffer.readInt16BE((row * tile.size + col) * 2);
+    return value === VOID ? null : value;
+  };
+
+  // Bilinear interpolation between the four surrounding samples
+  const elevationAt = ([lon, lat]) => {
+    const tile = loadTile(tileName(lon, lat));
+    if (!tile) return null;
+
+    const n = tile.size - 1;
+    const y = (Math.floor(lat) + 1 - lat) * n;
+    const x = (lon - Math.floor(lon)) * n;
+    const r0 = Math.min(Math.floor(y), n - 1);
+    const c0 = Math.min(Math.floor(x), n - 1);
+    const dy = y - r0;
+    const dx = x - c0;
+
+    const values = [sample(tile, r0, c0), sample(tile, r0, c0 + 1), sample(tile, r0 + 1, c0), sample(tile, r0 + 1, c0 + 1)];
+    if (values.some(v => v === null)) {
+      const known = values.filter(v => v !== null);
+      return known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+    }
+    const [v00, v01, v10, v11] = values;
+    return v00 * (1 - dx) * (1 - dy) + v01 * dx * (1 - dy) + v10 * (1 - dx) * dy + v11 * dx * dy;
+  };
+
+  async function elevations(coordinates) {
+    return coordinates.map(elevationAt);
+  }
+
+  return { name: 'dem', elevations };
+}
+
+module.exports = createDemProvider;
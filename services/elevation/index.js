@@ -0,0 +1,132 @@
+const createDemProvider = require('./demProvider');
+const createOrsElevationProvider = require('./orsProvider');
+const { cumulativeDistancesKm } = require('../daySplitter');
+
+// Elevation provider interface:
+//   elevations([[lon, lat], ...]) -> [metres | null, ...]
+// Selected by ELEVATION_PROVIDER ("dem", "ors" or "none"). When unset, a DEM
+// directory wins, then ORS if the ORS routing provider is configured.
+
+const providers = {
+  dem: createDemProvider,
+  ors: createOrsElevationProvider
+};
+
+// Samples per day used for stats and the returned profile
+const SAMPLES_PER_DAY = 200;
+// Elevation changes smaller than this are treated as noise when summing ascent/descent
+const NOISE_THRESHOLD_M = 3;
+
+let provider;
+
+function getElevationProvider() {
+  if (provider === undefined) {
+    let name = (process.env.ELEVATION_PROVIDER || '').toLowerCase();
+    if (!name) {
+      if (process.env.ELEVATION_DEM_DIR) name = 'dem';
+      else if ((process.env.ROUTING_PROVIDER || 'ors') === 'ors' && process.env.ORS_API_KEY) name = 'ors';
+      else name = 'none';
+    }
+    if (name !== 'none' && !providers[name]) {
+      throw new Error(`Unknown ELEVATION_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}, none`);
+    }
+    provider = name === 'none' ? null : providers[name]();
+  }
+  return provider;
+}
+
+// Evenly spaced points (by distance) along the route, with their distance from the start
+function sampleAlongRoute(coordinates, count) {
+  const cum = cumulativeDistancesKm(coordinates);
+  const total = cum[cum.length - 1];
+  if (coordinates.length <= count || total === 0) {
+    return coordinates.map((coord, i) => ({ coord, distanceKm: cum[i] }));
+  }
+
+  const samples = [];
+  let j = 1;
+  for (let k = 0; k < count; k++) {
+    const d = (total * k) / (count - 1);
+    while (j < cum.length - 1 && cum[j] < d) j++;
+    const segKm = cum[j] - cum[j - 1];
+    const t = segKm > 0 ? Math.min(Math.max((d - cum[j - 1]) / segKm, 0), 1) : 0;
+    const [lon1, lat1] = coordinates[j - 1];
+    const [lon2, lat2] = coordinates[j];
+    samples.push({ coord: [lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t], distanceKm: d });
+  }
+  return samples;
+}
+
+// Ascent/descent with a hysteresis threshold so DEM noise doesn't add up
+function summarizeElevations(elevations) {
+  const known = elevations.filter(e => typeof e === 'number');
+  if (known.length === 0) return null;
+
+  let ascentM = 0;
+  let descentM = 0;
+  let ref = known[0];
+  for (const e of known.slice(1)) {
+    const diff = e - ref;
+    if (diff >= NOISE_THRESHOLD_M) {
+      ascentM += diff;
+      ref = e;
+    } else if (diff <= -NOISE_THRESHOLD_M) {
+      descentM -= diff;
+      ref = e;
+    }
+  }
+
+  return {
+    ascentM: Math.round(ascentM),
+    descentM: Math.round(descentM),
+    maxElevationM: Math.round(Math.max(...known)),
+    minElevationM: Math.round(Math.min(...known))
+  };
+}
+
+// Per-day and whole-route elevation stats plus a sampled profile, or null when
+// no elevation provider is configured or no elevation could be found.
+async function buildElevationProfile(pathDays) {
+  const elevationProvider = getElevationProvider();
+  if (!elevationProvider || !pathDays?.length) return null;
+
+  const days = [];
+  const profile = [];
+  let offsetKm = 0;
+
+  for (const day of pathDays) {
+    const samples = sampleAlongRoute(day, SAMPLES_PER_DAY);
+    const elevations = await elevationProvider.elevations(samples.map(s => s.coord));
+    days.push(summarizeElevations(elevations));
+
+    samples.forEach((s, i) => {
+      if (typeof elevations[i] !== 'number') return;
+      // Days share their boundary point; don't repeat it in the profile
+      if (i === 0 && profile.length) return;
+      profile.push({
+        distanceKm: Number((offsetKm + s.distanceKm).toFixed(2)),
+        elevationM: Math.round(elevations[i])
+      });
+    });
+    offsetKm += samples.length ? samples[samples.length - 1].distanceKm : 0;
+  }
+
+  const known = days.filter(Boolean);
+  if (known.length === 0) return null;
+
+  return {
+    ascentM: known.reduce((sum, d) => sum + d.ascentM, 0),
+    descentM: known.reduce((sum, d) => sum + d.descentM, 0),
+    maxElevationM: Math.max(...known.map(d => d.maxElevationM)),
+    minElevationM: Math.min(...known.map(d => d.minElevationM)),
+    days,
+    profile
+  };
+}
+
+module.exports = {
+  getElevationProvider,
+  sampleAlongRoute,
+  summarizeElevations,
+  buildElevationProfile
+};
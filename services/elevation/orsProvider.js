@@ -0,0 +1,43 @@
+const fetch = require('../../utils/fetch');
+
+const ORS_BASE_URL = 'https://api.openrouteservice.org';
+// ORS elevation/line rejects larger geometries
+const MAX_POINTS = 2000;
+
+// Elevation from the OpenRouteService elevation/line endpoint
+function createOrsElevationProvider({ apiKey = process.env.ORS_API_KEY, baseUrl = ORS_BASE_URL } = {}) {
+  async function elevations(coordinates) {
+    if (coordinates.length > MAX_POINTS) {
+      throw new Error(`ORS elevation supports at most ${MAX_POINTS} points`);
+    }
+
+    const res = await fetch(`${baseUrl}/elevation/line`, {
+      method: "POST",
+      headers: {
+        Authorization: apiKey,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        format_in: 'geojson',
+        format_out: 'geojson',
+        geometry: { type: 'LineString', coordinates }
+      }),
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error("OpenRouteService elevation request failed: " + (err.error?.message || err.message || "Unknown error"));
+    }
+
+    const data = await res.json();
+    const coords3d = data?.geometry?.coordinates;
+    if (!Array.isArray(coords3d) || coords3d.length !== coordinates.length) {
+      throw new Error("No elevation found in ORS response");
+    }
+    return coords3d.map(c => (typeof c[2] === 'number' ? c[2] : null));
+  }
+
+  return { name: 'ors', elevations };
+}
+
+module.exports = createOrsElevationProvider;
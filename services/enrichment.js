@@ -0,0 +1,206 @@
+const { calculateRouteDistanceKm } = require('../utils/geo');
+const { validateEnrichment } = require('./enrichmentSchema');
+const { getLlmProvider } = require('./llm');
+const { renderPrompt } = require('./llm/prompts');
+const { createJsonMemberParser } = require('../utils/jsonStream');
+
+// LLM route enrichment (title, overview, segments, POIs, tips, ...).
+// Used by /api/llm/enrich and by the stored-enrichment endpoints on saved routes.
+
+// How many times an invalid answer is sent back to the model with its errors
+const MAX_REPAIR_ATTEMPTS = Number(process.env.LLM_MAX_REPAIR_ATTEMPTS ?? 2);
+
+const ENRICHMENT_SECTIONS = [
+  'title', 'overview', 'bestWindows', 'segments', 'pois',
+  'safety_tips', 'gear_checklist', 'food_stops', 'photo_spots'
+];
+
+// JSON template shown to the model, one line per section
+const SECTION_TEMPLATES = {
+  title: '"title": "Route title"',
+  overview: '"overview": "Brief description"',
+  bestWindows: '"bestWindows": ["tip1", "tip2"]',
+  segments: '"segments": [{"name": "name", "description": "desc", "difficulty": "easy|moderate|hard", "highlights": ["h1", "h2"]}]',
+  pois: '"pois": [{"name": "name", "type": "type", "description": "desc", "coordinates": [lon, lat]}]',
+  safety_tips: '"safety_tips": ["tip1", "tip2"]',
+  gear_checklist: '"gear_checklist": ["item1", "item2"]',
+  food_stops: '"food_stops": [{"name": "name", "type": "type", "description": "desc"}]',
+  photo_spots: '"photo_spots": [{"name": "name", "description": "desc", "best_time": "time"}]'
+};
+
+function fallbackEnrichment(destination, type) {
+  return {
+    title: `${destination || 'Route'} ${type || 'adventure'}`,
+    overview: `A ${type || 'great'} route in ${destination || 'this area'}. Enjoy your adventure!`,
+    bestWindows: [],
+    segments: [],
+    pois: [],
+    safety_tips: [],
+    gear_checklist: [],
+    food_stops: [],
+    photo_spots: []
+  };
+}
+
+const KM_PER_MILE = 1.609344;
+
+// English name of a language tag for the prompt ("de" -> "German"); the tag itself if unknown
+function languageName(tag) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+  } catch (error) {
+    return tag;
+  }
+}
+
+// Render the enrichment prompt template (prompts/enrichment/<version>.txt).
+// `sections` limits the requested keys; `context` is existing enrichment to stay consistent with.
+// `language` (a tag like "de") and `units` ("km" or "mi") come from the user's preferences.
+function buildPrompt({ destination, type, path, pathDays, weatherDaily, language, units = 'km' }, { sections = ENRICHMENT_SECTIONS, context } = {}) {
+  const totalDistance = path.length > 1 ? calculateRouteDistanceKm(path) : 0;
+  const partial = sections.length < ENRICHMENT_SECTIONS.length;
+  const miles = units === 'mi';
+
+  return renderPrompt('enrichment', {
+    type,
+    destination,
+    totalDays: pathDays.length,
+    totalDistanceKm: totalDistance.toFixed(1),
+    totalDistance: miles ? `${(totalDistance / KM_PER_MILE).toFixed(1)} mi` : `${totalDistance.toFixed(1)} km`,
+    unitsLine: miles ? 'Give all distances in miles.' : '',
+    languageLine: language ? `Write all text values in ${languageName(language)}; keep the JSON keys in English.` : '',
+    weatherLine: weatherDaily ? `Weather: ${JSON.stringify(weatherDaily)}` : '',
+    contextLine: partial && context
+      ? `Existing guide (keep consistent with it): ${JSON.stringify({ title: context.title, overview: context.overview })}`
+      : '',
+    sectionsTemplate: sections.map(section => `  ${SECTION_TEMPLATES[section]}`).join(',\n')
+  });
+}
+
+// Follow-up message asking the model to fix its previous answer
+function buildRepairPrompt(errors) {
+  return renderPrompt('enrichment-repair', {
+    errors: errors.slice(0, 30).map(e => `- ${e}`).join('\n')
+  }).text;
+}
+
+// The JSON object in the model output (tolerates code fences and chatter around it)
+function extractJson(content) {
+  const unfenced = content.replace(/```(?:json)?/gi, '');
+  const first = unfenced.indexOf('{');
+  const last = unfenced.lastIndexOf('}');
+  if (first === -1 || last <= first) {
+    throw new Error('response did not contain a JSON object');
+  }
+  try {
+    return JSON.parse(unfenced.substring(first, last + 1));
+  } catch (parseError) {
+    throw new Error(`response was not valid JSON (${parseError.message})`);
+  }
+}
+
+// Fill sections that were dropped by validation so the response shape is stable
+function completeSections(value, { destination, type }, sections) {
+  const fallback = fallbackEnrichment(destination, type);
+  return Object.fromEntries(sections.map(section => [section, value[section] ?? fallback[section]]));
+}
+
+// Generate enrichment for a route. Invalid answers are sent back to the model with the
+// validation errors up to MAX_REPAIR_ATTEMPTS times; the best answer is kept and its invalid
+// items dropped. Throws when the LLM is unavailable or never returns parseable JSON.
+// Returns { enrichment, model, promptVersion, generatedAt, source: "llm", validationErrors, attempts };
+// `enrichment` only holds the requested sections.
+//
+// With `onSection(section, value)` the first answer is streamed and every section is
+// reported (already validated) as soon as it has been parsed; `onRepair(errors)` is
+// called before each re-prompt.
+async function generateEnrichment(route, { sections = ENRICHMENT_SECTIONS, context, onSection, onRepair, signal } = {}) {
+  const llm = getLlmProvider();
+  const prompt = buildPrompt(route, { sections, context });
+  const messages = [{ role: "user", content: prompt.text }];
+  let best = null;
+  let attempts = 0;
+  let model = llm.model;
+
+  const streamAnswer = async () => {
+    let content = '';
+    const parser = createJsonMemberParser((section, value) => {
+      if (!sections.includes(section)) return;
+      const { value: cleaned } = validateEnrichment({ [section]: value }, { sections: [section], path: route.path });
+      if (cleaned[section] !== undefined) onSection(section, cleaned[section]);
+    });
+    for await (const delta of llm.stream({ messages, signal })) {
+      content += delta;
+      parser.push(delta);
+    }
+    return { content, model: llm.model };
+  };
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    attempts++;
+    const { content, model: answeredBy } = attempt === 0 && onSection && llm.stream
+      ? await streamAnswer()
+      : await llm.complete({ messages, signal });
+    model = answeredBy || model;
+
+    let errors;
+    try {
+      const result = validateEnrichment(extractJson(content), { sections, path: route.path });
+      errors = result.errors;
+      if (!best || errors.length < best.errors.length) {
+        best = result;
+      }
+    } catch (parseError) {
+      errors = [parseError.message];
+    }
+
+    if (errors.length === 0 || attempt === MAX_REPAIR_ATTEMPTS) break;
+    console.warn(`LLM enrichment attempt ${attempts} invalid:`, errors.slice(0, 5));
+    if (onRepair) onRepair(errors);
+    messages.push({ role: "assistant", content }, { role: "user", content: buildRepairPrompt(errors) });
+  }
+
+  if (!best) {
+    throw new Error('Invalid JSON response from LLM');
+  }
+
+  return {
+    enrichment: completeSections(best.value, route, sections),
+    model,
+    promptVersion: prompt.version,
+    generatedAt: new Date(),
+    source: "llm",
+    validationErrors: best.errors,
+    attempts
+  };
+}
+
+// Enrichment that never fails: the LLM result, or the generic stub with source "fallback".
+// `options` are passed on to generateEnrichment (e.g. onSection for streaming).
+async function enrichRoute(route, options = {}) {
+  if (!getLlmProvider().isConfigured()) {
+    console.warn(`LLM provider "${getLlmProvider().name}" is not configured (missing API key or model)`);
+  } else {
+    try {
+      return await generateEnrichment(route, options);
+    } catch (error) {
+      console.error('LLM enrichment error:', error);
+    }
+  }
+  return {
+    enrichment: fallbackEnrichment(route.destination, route.type),
+    model: null,
+    promptVersion: null,
+    generatedAt: new Date(),
+    source: "fallback",
+    validationErrors: [],
+    attempts: 0
+  };
+}
+
+module.exports = {
+  ENRICHMENT_SECTIONS,
+  fallbackEnrichment,
+  generateEnrichment,
+  enrichRoute
+};
@@ -0,0 +1,156 @@
+// Declarative schema for the LLM enrichment object and a validator that
+// returns the cleaned value plus human-readable errors (fed back to the LLM
+// in the repair loop). Invalid array items are dropped from the cleaned value.
+
+const DIFFICULTIES = ['easy', 'moderate', 'hard'];
+const MAX_ITEMS = 20;
+
+const text = (max, required = false) => ({ kind: 'string', max, required });
+const list = (items) => ({ kind: 'array', items, max: MAX_ITEMS });
+const object = (fields) => ({ kind: 'object', fields });
+
+const ENRICHMENT_SCHEMA = {
+  title: text(120, true),
+  overview: text(2000, true),
+  bestWindows: list(text(300)),
+  segments: list(object({
+    name: text(120, true),
+    description: text(1000),
+    difficulty: { kind: 'enum', values: DIFFICULTIES },
+    highlights: list(text(200))
+  })),
+  pois: list(object({
+    name: text(120, true),
+    type: text(60),
+    description: text(1000),
+    coordinates: { kind: 'coordinates', required: true, withinRoute: true }
+  })),
+  safety_tips: list(text(300)),
+  gear_checklist: list(text(120)),
+  food_stops: list(object({
+    name: text(120, true),
+    type: text(60),
+    description: text(1000)
+  })),
+  photo_spots: list(object({
+    name: text(120, true),
+    description: text(1000),
+    best_time: text(120)
+  }))
+};
+
+// Bounding box of the route, padded so POIs just off the path still count
+function routeBoundingBox(path, padKm = 5) {
+  if (!Array.isArray(path) || path.length === 0) return null;
+  const [minLon, minLat, maxLon, maxLat] = path.reduce(
+    ([x1, y1, x2, y2], [lon, lat]) => [Math.min(x1, lon), Math.min(y1, lat), Math.max(x2, lon), Math.max(y2, lat)],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+  const padLat = padKm / 111;
+  const midLat = (minLat + maxLat) / 2;
+  const padLon = padKm / (111 * Math.max(Math.cos((midLat * Math.PI) / 180), 0.1));
+  return [minLon - padLon, minLat - padLat, maxLon + padLon, maxLat + padLat];
+}
+
+const inBox = ([lon, lat], [minLon, minLat, maxLon, maxLat]) =>
+  lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+
+// Validate one value against a spec: { ok, value, errors }
+function validateValue(spec, value, path, ctx) {
+  const fail = (message) => ({ ok: false, value: undefined, errors: [`${path}: ${message}`] });
+
+  if (value === undefined || value === null || value === '') {
+    return spec.required ? fail('is required') : { ok: true, value: undefined, errors: [] };
+  }
+
+  switch (spec.kind) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      const trimmed = value.trim();
+      if (spec.required && !trimmed) return fail('must not be empty');
+      if (spec.max && trimmed.length > spec.max) return fail(`must be at most ${spec.max} characters`);
+      return { ok: true, value: trimmed, errors: [] };
+    }
+
+    case 'enum': {
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!spec.values.includes(normalized)) return fail(`must be one of ${spec.values.join(', ')}`);
+      return { ok: true, value: normalized, errors: [] };
+    }
+
+    case 'coordinates': {
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+        return fail('must be [lon, lat] numbers');
+      }
+      const [lon, lat] = value;
+      if (lon < -180 || lon > 180 || lat < -90 || lat > 90) return fail('is not a valid [lon, lat] position');
+      if (lon === 0 && lat === 0) return fail('is a placeholder [0, 0], give the real position or omit the POI');
+      if (spec.withinRoute && ctx.bbox && !inBox(value, ctx.bbox)) {
+        const hint = inBox([lat, lon], ctx.bbox) ? ' (looks like [lat, lon]; use [lon, lat])' : '';
+        return fail(`is outside the route area ${JSON.stringify(ctx.bbox.map(n => Number(n.toFixed(3))))}${hint}`);
+      }
+      return { ok: true, value, errors: [] };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      const errors = [];
+      const items = [];
+      value.forEach((item, i) => {
+        const result = validateValue(spec.items, item, `${path}[${i}]`, ctx);
+        errors.push(...result.errors);
+        if (result.ok && result.value !== undefined) items.push(result.value);
+      });
+      if (items.length > spec.max) {
+        errors.push(`${path}: must have at most ${spec.max} items`);
+      }
+      // The array itself stays usable; only bad items are dropped
+      return { ok: true, value: items.slice(0, spec.max), errors };
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      const errors = [];
+      const cleaned = {};
+      let ok = true;
+      for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+        const result = validateValue(fieldSpec, value[field], `${path}.${field}`, ctx);
+        errors.push(...result.errors);
+        if (!result.ok) ok = false;
+        else if (result.value !== undefined) cleaned[field] = result.value;
+      }
+      return { ok, value: ok ? cleaned : undefined, errors };
+    }
+
+    default:
+      return fail(`has unknown schema kind ${spec.kind}`);
+  }
+}
+
+// Validate the requested sections of an enrichment object.
+// Returns { value, errors } – `value` holds only valid data, `errors` lists every problem.
+function validateEnrichment(enrichment, { sections = Object.keys(ENRICHMENT_SCHEMA), path } = {}) {
+  if (!enrichment || typeof enrichment !== 'object' || Array.isArray(enrichment)) {
+    return { value: {}, errors: ['response must be a JSON object'] };
+  }
+
+  const ctx = { bbox: routeBoundingBox(path) };
+  const value = {};
+  const errors = [];
+  for (const section of sections) {
+    if (enrichment[section] === undefined) {
+      errors.push(`${section}: is missing`);
+      continue;
+    }
+    const result = validateValue(ENRICHMENT_SCHEMA[section], enrichment[section], section, ctx);
+    errors.push(...result.errors);
+    if (result.ok && result.value !== undefined) value[section] = result.value;
+  }
+  return { value, errors };
+}
+
+module.exports = {
+  ENRICHMENT_SCHEMA,
+  routeBoundingBox,
+  validateEnrichment
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const os = require('os');
+const Job = require('../models/Job');
+const { generateRoute, generateTrip } = require('./routeGenerator');
+
+// In-process runner for background jobs. Job state and progress live in MongoDB
+// and are polled through /api/jobs/:id. Cancelling aborts the running job and also
+// sets `cancelRequested`, which the runner re-checks on every progress update.
+
+const handlers = {
+  'generate-route': (input, hooks) => generateRoute(input, hooks),
+  'generate-trip': (input, hooks) => generateTrip(input, hooks)
+};
+
+// Running jobs of this process: job id -> AbortController
+const running = new Map();
+
+// Several API instances may share the database. Each one marks its jobs with this id
+// and refreshes their heartbeat; jobs whose heartbeat stops belong to a stopped instance.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const HEARTBEAT_SECONDS = Number(process.env.JOB_HEARTBEAT_SECONDS || 30);
+// Missed heartbeats before a job counts as interrupted
+const STALE_AFTER_BEATS = 3;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Start a job in the background and return its document right away
+async function submitJob(kind, username, input) {
+  const job = await Job.create({ kind, username, input, owner: INSTANCE_ID, heartbeatAt: new Date() });
+  setImmediate(() => {
+    runJob(job).catch(error => console.error(`Job ${job._id} crashed:`, error));
+  });
+  return job;
+}
+
+async function runJob(job) {
+  const abort = new AbortController();
+  running.set(String(job._id), abort);
+
+  // Progress writes are chained so they land in order and never overtake the final update
+  let writes = Promise.resolve();
+  const onProgress = (progress) => {
+    writes = writes
+      .then(() => Job.findOneAndUpdate(
+        { _id: job._id, status: 'running' },
+        { progress },
+        { new: true, projection: { cancelRequested: 1 } }
+      ))
+      .then(doc => {
+        if (doc?.cancelRequested) abort.abort();
+      })
+      .catch(error => console.warn(`Job ${job._id} progress update failed:`, error.message));
+  };
+
+  try {
+    const started = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'queued', cancelRequested: false },
+      { status: 'running', startedAt: new Date() }
+    );
+    if (!started) return; // cancelled before it started
+
+    const result = await handlers[job.kind](job.input, { onProgress, signal: abort.signal });
+    await writes;
+    await Job.updateOne({ _id: job._id, status: 'running' }, { status: 'succeeded', result, finishedAt: new Date() });
+  } catch (error) {
+    await writes;
+    if (abort.signal.aborted) {
+      await Job.updateOne({ _id: job._id }, { status: 'cancelled', finishedAt: new Date() });
+    } else {
+      console.error(`Job ${job._id} failed:`, error);
+      await Job.updateOne({ _id: job._id }, { status: 'failed', error: error.message, finishedAt: new Date() });
+    }
+  } finally {
+    running.delete(String(job._id));
+  }
+}
+
+// Request cancellation of a queued or running job. Returns the updated job, or null
+// when it doesn't exist for this user; finished jobs are returned unchanged.
+async function cancelJob(id, username) {
+  const job = await Job.findOne({ _id: id, username });
+  if (!job || job.finished) return job;
+
+  if (job.status === 'queued') {
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: id, status: 'queued' },
+      { status: 'cancelled', cancelRequested: true, finishedAt: new Date() },
+      { new: true }
+    );
+    if (cancelled) return cancelled;
+  }
+
+  await Job.updateOne({ _id: id }, { cancelRequested: true });
+  running.get(String(id))?.abort();
+  return Job.findById(id);
+}
+
+// Jobs of an instance that stopped (no heartbeat for STALE_AFTER_BEATS intervals) will
+// never finish; mark them failed. Jobs from before heartbeats existed go by updatedAt.
+async function failInterruptedJobs() {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_BEATS * HEARTBEAT_SECONDS * 1000);
+  const { modifiedCount } = await Job.updateMany(
+    {
+      status: { $in: ACTIVE_STATUSES },
+      owner: { $ne: INSTANCE_ID },
+      $or: [
+        { heartbeatAt: { $lt: staleBefore } },
+        { heartbeatAt: { $exists: false }, updatedAt: { $lt: staleBefore } }
+      ]
+    },
+    { status: 'failed', error: 'Interrupted: the server running it stopped', finishedAt: new Date() }
+  );
+  if (modifiedCount) console.warn(`Marked ${modifiedCount} interrupted job(s) as failed`);
+}
+
+let heartbeat = null;
+
+// Refresh the heartbeat of this instance's jobs and fail other instances' stale jobs,
+// now and every HEARTBEAT_SECONDS. Call once the database is connected.
+function startJobHeartbeat() {
+  if (heartbeat) return;
+  const beat = async () => {
+    try {
+      await Job.updateMany({ owner: INSTANCE_ID, status: { $in: ACTIVE_STATUSES } }, { heartbeatAt: new Date() });
+      await failInterruptedJobs();
+    } catch (error) {
+      console.warn('Job heartbeat failed:', error.message);
+    }
+  };
+  heartbeat = setInterval(beat, HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+  return beat();
+}
+
+module.exports = {
+  submitJob,
+  cancelJob,
+  failInterruptedJobs,
+  startJobHeartbeat
+};
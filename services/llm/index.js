@@ -0,0 +1,45 @@
+const createOpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const createMockProvider = require('./mockProvider');
+
+// LLM client interface:
+//   isConfigured()                                         -> boolean
+//   complete({ messages, temperature, maxTokens, signal }) -> { content, model }
+//   stream({ messages, temperature, maxTokens, signal })   -> async iterable of content deltas
+// Selected by LLM_PROVIDER ("groq" by default, "openai" for any OpenAI-compatible
+// endpoint such as llama.cpp or Ollama, "mock" for tests). LLM_MODEL overrides the model.
+
+const providers = {
+  groq: () => createOpenAiCompatibleProvider({
+    name: 'groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: process.env.GROQ_API_KEY,
+    model: process.env.LLM_MODEL || process.env.GROQ_MODEL || 'llama3-8b-8192'
+  }),
+  openai: () => createOpenAiCompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_MODEL,
+    // Local servers usually don't need a key
+    requiresKey: false
+  }),
+  mock: createMockProvider
+};
+
+let provider = null;
+
+function getLlmProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+    const create = providers[name];
+    if (!create) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+    provider = create();
+  }
+  return provider;
+}
+
+module.exports = {
+  getLlmProvider
+};
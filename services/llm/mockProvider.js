@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic LLM stand-in for tests and offline development.
+// Answers with LLM_MOCK_RESPONSE_PATH (a JSON file) when set, otherwise with a
+// fixed, schema-valid enrichment built from the destination in the prompt.
+
+function defaultResponse(prompt) {
+  const match = prompt.match(/for a (\w+) route in (.+?)\.\s*$/m);
+  const type = match?.[1] || 'hike';
+  const destination = match?.[2] || 'this area';
+  return {
+    title: `${destination} ${type} guide`,
+    overview: `A ${type} route around ${destination}.`,
+    bestWindows: ['Early morning'],
+    segments: [{ name: 'Day 1', description: 'Main section of the route.', difficulty: 'moderate', highlights: ['Views'] }],
+    pois: [],
+    safety_tips: ['Carry enough water.'],
+    gear_checklist: ['Water bottle', 'Rain jacket'],
+    food_stops: [],
+    photo_spots: []
+  };
+}
+
+function createMockProvider({ responsePath = process.env.LLM_MOCK_RESPONSE_PATH } = {}) {
+  function isConfigured() {
+    return true;
+  }
+
+  const answer = (messages) => (responsePath
+    ? fs.readFileSync(path.resolve(responsePath), 'utf8')
+    : JSON.stringify(defaultResponse(messages[0]?.content || '')));
+
+  async function complete({ messages }) {
+    return { content: answer(messages), model: 'mock' };
+  }
+
+  // Same answer as complete(), in fixed-size chunks
+  async function* stream({ messages }) {
+    const content = answer(messages);
+    for (let i = 0; i < content.length; i += 40) {
+      yield content.slice(i, i + 40);
+    }
+  }
+
+  return { name: 'mock', model: 'mock', isConfigured, complete, stream };
+}
+
+module.exports = createMockProvider;
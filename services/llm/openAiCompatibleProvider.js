@@ -0,0 +1,83 @@
+const fetch = require('../../utils/fetch');
+
+// Any OpenAI-style /chat/completions endpoint: Groq, OpenAI, a local
+// llama.cpp server or Ollama (http://localhost:11434/v1).
+function createOpenAiCompatibleProvider({ name, baseUrl, apiKey, model, requiresKey = true }) {
+  function isConfigured() {
+    return Boolean(baseUrl && model && (apiKey || !requiresKey));
+  }
+
+  async function request({ messages, temperature, maxTokens, stream, signal }) {
+    if (!isConfigured()) {
+      throw new Error(`LLM provider "${name}" is not configured`);
+    }
+
+    console.log(`Calling ${name} LLM (${model}) with prompt:`, messages[messages.length - 1].content.substring(0, 200) + '...');
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const llmResponse = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream
+      }),
+      signal
+    });
+
+    console.log('LLM Response status:', llmResponse.status);
+
+    if (!llmResponse.ok) {
+      const errorText = await llmResponse.text();
+      console.error('LLM API error:', llmResponse.status, llmResponse.statusText);
+      console.error('Error response:', errorText);
+      throw new Error('LLM service unavailable');
+    }
+    return llmResponse;
+  }
+
+  async function complete({ messages, temperature = 0.7, maxTokens = 2000, signal }) {
+    const llmResponse = await request({ messages, temperature, maxTokens, stream: false, signal });
+    const llmData = await llmResponse.json();
+    const content = llmData.choices?.[0]?.message?.content;
+
+    if (!content) {
+      console.error('No content in LLM response');
+      throw new Error('No content received from LLM');
+    }
+    return { content, model: llmData.model || model };
+  }
+
+  // Yields content deltas from the server-sent "data: {...}" lines
+  async function* stream({ messages, temperature = 0.7, maxTokens = 2000, signal }) {
+    const llmResponse = await request({ messages, temperature, maxTokens, stream: true, signal });
+    const decoder = new TextDecoder();
+    let pending = '';
+
+    for await (const chunk of llmResponse.body) {
+      pending += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+        try {
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        } catch (e) {
+          // ignore keep-alives and partial lines
+        }
+      }
+    }
+  }
+
+  return { name, model, isConfigured, complete, stream };
+}
+
+module.exports = createOpenAiCompatibleProvider;
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned prompt templates live in /prompts/<name>/<version>.txt and use
+// {{placeholder}} variables. The version in use comes from
+// PROMPT_VERSION_<NAME> (e.g. PROMPT_VERSION_ENRICHMENT=v2), else the latest file.
+
+const PROMPTS_DIR = path.resolve(__dirname, '../../prompts');
+
+const cache = new Map();
+
+function listVersions(name) {
+  return fs.readdirSync(path.join(PROMPTS_DIR, name))
+    .filter(file => /^v\d+\.txt$/.test(file))
+    .map(file => file.replace(/\.txt$/, ''))
+    .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+}
+
+function resolveVersion(name) {
+  const envKey = `PROMPT_VERSION_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  if (process.env[envKey]) return process.env[envKey];
+  const versions = listVersions(name);
+  if (versions.length === 0) {
+    throw new Error(`No prompt templates found for "${name}"`);
+  }
+  return versions[versions.length - 1];
+}
+
+function loadTemplate(name, version) {
+  const key = `${name}@${version}`;
+  if (!cache.has(key)) {
+    const file = path.join(PROMPTS_DIR, name, `${version}.txt`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Prompt template ${key} not found`);
+    }
+    cache.set(key, fs.readFileSync(file, 'utf8'));
+  }
+  return cache.get(key);
+}
+
+// { text, version } – unknown placeholders render as empty strings
+function renderPrompt(name, vars = {}, version = resolveVersion(name)) {
+  const template = loadTemplate(name, version);
+  const text = template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { text, version: `${name}@${version}` };
+}
+
+module.exports = {
+  renderPrompt
+};
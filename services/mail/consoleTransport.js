@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Prints messages to the server log instead of sending them (development default)
+function createConsoleTransport() {
+  async function send({ from, to, subject, text }) {
+    const id = crypto.randomUUID();
+    console.log(`--- mail ${id} ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n--- end mail ---`);
+    return { id };
+  }
+
+  return { name: 'console', send };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes every message to MAIL_OUTBOX_DIR (default ./mail-outbox) as a JSON file
+// instead of sending it. For local testing: reset and verification links can be
+// read from the files.
+function createFileTransport({ outboxDir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox' } = {}) {
+  const dir = path.resolve(outboxDir);
+
+  async function send(message) {
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...message, date: new Date() }, null, 2));
+    return { id };
+  }
+
+  return { name: 'file', send };
+}
+
+module.exports = createFileTransport;
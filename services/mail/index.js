@@ -0,0 +1,38 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Mail transport interface:
+//   send({ from, to, subject, text }) -> { id }
+// Selected by MAIL_TRANSPORT ("console" by default, "file" to write messages to
+// MAIL_OUTBOX_DIR, "smtp" for real delivery). MAIL_FROM is the sender address.
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+function getMailTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transport = create();
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'Route Planner <no-reply@localhost>';
+  return getMailTransport().send({ from, to, subject, text });
+}
+
+module.exports = {
+  getMailTransport,
+  sendMail
+};
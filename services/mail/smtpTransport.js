@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+// SMTP delivery through SMTP_HOST / SMTP_PORT (default 587) / SMTP_USER / SMTP_PASSWORD.
+// SMTP_SECURE=true uses implicit TLS (port 465); otherwise STARTTLS is used when offered.
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  password = process.env.SMTP_PASSWORD
+} = {}) {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+  }
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  async function send({ from, to, subject, text }) {
+    const info = await transporter.sendMail({ from, to, subject, text });
+    return { id: info.messageId };
+  }
+
+  return { name: 'smtp', send };
+}
+
+module.exports = createSmtpTransport;
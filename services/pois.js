@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local POI dataset used to pick overnight stops (towns, campsites, huts, ...).
+// POI_DATA_PATH may point to a GeoJSON FeatureCollection of Point features
+// (properties.name + properties.type, or OSM-style place/tourism/amenity tags)
+// or to an OSM JSON extract whose named nodes are used.
+
+const DEFAULT_OVERNIGHT_TYPES = [
+  'city', 'town', 'village', 'hamlet',
+  'camp_site', 'campsite', 'caravan_site',
+  'hotel', 'motel', 'hostel', 'guest_house', 'alpine_hut', 'wilderness_hut'
+];
+
+let cache = null;
+
+const poiType = (tags = {}) => tags.type || tags.place || tags.tourism || tags.amenity || null;
+
+function parsePois(data) {
+  if (Array.isArray(data.elements)) {
+    return data.elements
+      .filter(el => el.type === 'node' && el.tags?.name)
+      .map(el => ({ name: el.tags.name, type: poiType(el.tags), coordinates: [el.lon, el.lat] }));
+  }
+
+  return (data.features || [])
+    .filter(f => f?.geometry?.type === 'Point' && f.properties?.name)
+    .map(f => ({
+      name: String(f.properties.name),
+      type: poiType(f.properties),
+      coordinates: f.geometry.coordinates.slice(0, 2)
+    }));
+}
+
+// All POIs from POI_DATA_PATH (loaded once); empty when not configured
+function loadPois() {
+  const filePath = process.env.POI_DATA_PATH;
+  if (!filePath) return [];
+
+  if (!cache || cache.filePath !== filePath) {
+    const data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    cache = { filePath, pois: parsePois(data) };
+  }
+  return cache.pois;
+}
+
+// POIs suitable for spending the night (OVERNIGHT_STOP_TYPES overrides the default types)
+function loadOvernightPois() {
+  const types = process.env.OVERNIGHT_STOP_TYPES
+    ? process.env.OVERNIGHT_STOP_TYPES.split(',').map(t => t.trim()).filter(Boolean)
+    : DEFAULT_OVERNIGHT_TYPES;
+  return loadPois().filter(poi => poi.type && types.includes(poi.type));
+}
+
+module.exports = {
+  loadPois,
+  loadOvernightPois
+};
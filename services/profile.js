@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const Route = require('../models/Route');
+const RouteVersion = require('../models/RouteVersion');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const { cancelJob } = require('./jobs');
+const { MAX_HIKE_KM } = require('./routeGenerator');
+
+// User profile: preferences that fill in missing request fields, and account deletion.
+
+// Profile fields returned by /api/me
+const publicProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  verified: user.verified,
+  createdAt: user.createdAt,
+  preferences: user.preferences?.toObject ? user.preferences.toObject() : (user.preferences || {})
+});
+
+const fitnessFactor = (level) => User.FITNESS_FACTORS[level];
+
+// Request fields derived from the preferences, per endpoint. Undefined entries are
+// dropped by applyPreferences.
+const defaultsFor = {
+  'generate-route': (preferences, input) => {
+    const type = input.type ?? preferences.activity;
+    const defaults = {
+      type,
+      destination: preferences.homeLocation?.name,
+      fitnessFactor: fitnessFactor(preferences.fitnessLevel)
+    };
+    if (preferences.kmPerDay) {
+      if (type === 'bike') {
+        defaults.maxKmPerDay = preferences.kmPerDay;
+      } else if (type === 'hike' && input.minKm === undefined && input.maxKm === undefined) {
+        // Hikes take the loop length instead; keep it in range for multi-day loops
+        const days = Number.isInteger(Number(input.days)) && input.days !== undefined ? Number(input.days) : 1;
+        defaults.maxKm = Math.min(preferences.kmPerDay * days, MAX_HIKE_KM);
+      }
+    }
+    return defaults;
+  },
+  'generate-trip': (preferences) => ({
+    type: preferences.activity,
+    start: preferences.homeLocation?.coordinates?.length === 2
+      ? preferences.homeLocation.coordinates
+      : preferences.homeLocation?.name,
+    fitnessFactor: fitnessFactor(preferences.fitnessLevel)
+  }),
+  enrich: (preferences) => ({
+    language: preferences.language,
+    units: preferences.units
+  })
+};
+
+const present = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// `input` with missing fields taken from the user's preferences; fields in the request win
+function applyPreferences(kind, input = {}, user) {
+  const preferences = user?.preferences || {};
+  const given = present(input);
+  return { ...present(defaultsFor[kind](preferences, given)), ...given };
+}
+
+// Merge a PATCH /api/me body into the stored preferences; null clears a field
+function updatePreferences(user, changes) {
+  if (!user.preferences) user.preferences = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (value !== undefined) {
+      user.preferences[field] = value === null ? undefined : value;
+    }
+  }
+}
+
+// Delete the user and everything stored for them. Running generation jobs are
+// cancelled first so they don't write results for a user that no longer exists.
+async function deleteAccount(user) {
+  const { username } = user;
+
+  const activeJobs = await Job.find({ username, status: { $in: ['queued', 'running'] } }, { _id: 1 });
+  await Promise.all(activeJobs.map(job => cancelJob(job._id, username)));
+
+  const [routes, versions, jobs, sessions] = await Promise.all([
+    Route.deleteMany({ username }),
+    RouteVersion.deleteMany({ username }),
+    Job.deleteMany({ username }),
+    Session.deleteMany({ userId: user._id })
+  ]);
+  await User.deleteOne({ _id: user._id });
+
+  return {
+    routes: routes.deletedCount,
+    routeVersions: versions.deletedCount,
+    jobs: jobs.deletedCount,
+    sessions: sessions.deletedCount
+  };
+}
+
+module.exports = {
+  publicProfile,
+  applyPreferences,
+  updatePreferences,
+  deleteAccount
+};
@@ -0,0 +1,266 @@
+const { calculateRouteDistanceKm, nearestPointIndex } = require('../utils/geo');
+const { decodePath, encodePath } = require('../utils/polyline');
+const { cumulativeDistancesKm } = require('./daySplitter');
+const { getRoutingProvider } = require('./routing');
+const { buildElevationProfile } = require('./elevation');
+const { gradeRoute } = require('./difficulty');
+const { estimateMovingTime } = require('./timeEstimate');
+const RouteVersion = require('../models/RouteVersion');
+
+// Geometry edits on saved routes (PATCH /api/routes/:id) and their version history.
+// Every edit replaces one stretch of the full path with a newly routed (or supplied)
+// segment; day boundaries outside the stretch are kept.
+
+const EDIT_OPERATIONS = ['replace-day', 'move-waypoint', 'reroute'];
+const PROFILE_BY_TYPE = { hike: 'foot-hiking', bike: 'cycling-regular' };
+// Points given by the client must be this close to the route to be recognised
+const MAX_SNAP_KM = 1;
+// A moved waypoint is re-routed between anchors this far before and after it
+const MOVE_ANCHOR_KM = 2;
+const MAX_VIA_POINTS = 10;
+
+const isPosition = (value) => Array.isArray(value) && value.length === 2 &&
+  value.every(n => typeof n === 'number' && Number.isFinite(n)) &&
+  value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90;
+
+// Validate a geometry edit from the request body. Returns { value } or { error }.
+function parseGeometryEdit(edit) {
+  if (!edit || typeof edit !== 'object' || !EDIT_OPERATIONS.includes(edit.op)) {
+    return { error: `edit.op must be one of ${EDIT_OPERATIONS.join(', ')}` };
+  }
+  const via = edit.via === undefined ? [] : edit.via;
+  if (!Array.isArray(via) || via.length > MAX_VIA_POINTS || !via.every(isPosition)) {
+    return { error: `edit.via must be an array of at most ${MAX_VIA_POINTS} [lon, lat] positions` };
+  }
+
+  switch (edit.op) {
+    case 'replace-day':
+      if (!Number.isInteger(edit.day) || edit.day < 1) {
+        return { error: "edit.day must be a positive integer" };
+      }
+      if (edit.pathEncoded !== undefined && (typeof edit.pathEncoded !== 'string' || !edit.pathEncoded.trim())) {
+        return { error: "edit.pathEncoded must be a non-empty string" };
+      }
+      return { value: { op: edit.op, day: edit.day, pathEncoded: edit.pathEncoded, via } };
+
+    case 'move-waypoint':
+    case 'reroute':
+      if (!isPosition(edit.from) || !isPosition(edit.to)) {
+        return { error: "edit.from and edit.to must be [lon, lat] positions" };
+      }
+      return { value: { op: edit.op, from: edit.from, to: edit.to, via } };
+  }
+}
+
+// Full path plus the index of every day's last point
+function joinWithEnds(pathDays) {
+  const full = [];
+  const ends = [];
+  for (const day of pathDays) {
+    const last = full[full.length - 1];
+    const shared = last && day[0] && last[0] === day[0][0] && last[1] === day[0][1];
+    full.push(...(shared ? day.slice(1) : day));
+    ends.push(full.length - 1);
+  }
+  return { full, ends };
+}
+
+const splitAtEnds = (full, ends) => ends.map((end, d) => full.slice(d === 0 ? 0 : ends[d - 1], end + 1));
+
+// Replace full[a..b] with `segment`. `pinned` maps a day index whose end lies inside the
+// stretch to its new position within the segment.
+function splice(full, ends, a, b, segment, pinned = {}) {
+  const delta = segment.length - (b - a + 1);
+  const newFull = [...full.slice(0, a), ...segment, ...full.slice(b + 1)];
+  const newEnds = ends.map((end, d) => {
+    if (pinned[d] !== undefined) return a + pinned[d];
+    if (end <= a) return end;
+    if (end >= b) return end + delta;
+    return a + segment.length - 1; // not reached: edits never span a boundary unpinned
+  });
+  return { full: newFull, ends: newEnds };
+}
+
+async function routeThrough(coordinates, type) {
+  return getRoutingProvider().directions({ coordinates, profile: PROFILE_BY_TYPE[type] || 'cycling-regular', options: {} });
+}
+
+// Locate a client point on the route; { index } or { error }
+function locate(full, point, field) {
+  const { index, km } = nearestPointIndex(full, point);
+  if (index === -1 || km > MAX_SNAP_KM) {
+    return { error: `${field} is not on the route (must be within ${MAX_SNAP_KM} km)` };
+  }
+  return { index };
+}
+
+// Apply a parsed edit to [[[lon, lat], ...], ...] day paths of a route of `type`.
+// Returns { value: { pathDays, movedDays } } or { error } for edits that don't fit the route;
+// routing failures throw. `movedDays` lists the 0-based days whose end point moved.
+async function editGeometry(pathDays, type, edit) {
+  const { full, ends } = joinWithEnds(pathDays);
+  const dayStart = (d) => (d === 0 ? 0 : ends[d - 1]);
+  const dayOf = (index) => ends.findIndex(end => index <= end);
+
+  if (edit.op === 'replace-day') {
+    const d = edit.day - 1;
+    if (d >= ends.length) {
+      return { error: `edit.day must be between 1 and ${ends.length}` };
+    }
+    const a = dayStart(d);
+    const b = ends[d];
+    let segment;
+    if (edit.pathEncoded) {
+      segment = decodePath(edit.pathEncoded);
+      if (segment.length < 2) {
+        return { error: "edit.pathEncoded must contain at least two points" };
+      }
+      const badIndex = segment.findIndex(point => !isPosition(point));
+      if (badIndex !== -1) {
+        return { error: `edit.pathEncoded point ${badIndex} is not a valid [lon, lat] position` };
+      }
+      const startKm = calculateRouteDistanceKm([segment[0], full[a]]);
+      const endKm = calculateRouteDistanceKm([segment[segment.length - 1], full[b]]);
+      if (startKm > MAX_SNAP_KM || endKm > MAX_SNAP_KM) {
+        return { error: `edit.pathEncoded must start and end within ${MAX_SNAP_KM} km of the day's start and end` };
+      }
+      // Keep the days connected exactly
+      segment = [full[a], ...segment.slice(1, -1), full[b]];
+    } else {
+      segment = await routeThrough([full[a], ...edit.via, full[b]], type);
+    }
+    const result = splice(full, ends, a, b, segment);
+    return { value: { pathDays: splitAtEnds(result.full, result.ends), movedDays: [] } };
+  }
+
+  if (edit.op === 'move-waypoint') {
+    const found = locate(full, edit.from, 'edit.from');
+    if (found.error) return found;
+    const i = found.index;
+
+    // Anchors MOVE_ANCHOR_KM around the point, never beyond the neighbouring day boundaries
+    const boundaryDay = ends.indexOf(i);
+    const isBoundary = boundaryDay !== -1 && i !== full.length - 1;
+    const day = dayOf(i);
+    const lower = isBoundary ? dayStart(boundaryDay) : dayStart(day);
+    const upper = isBoundary ? ends[boundaryDay + 1] : ends[day];
+    const cum = cumulativeDistancesKm(full);
+    let a = i;
+    while (a > lower && cum[i] - cum[a - 1] <= MOVE_ANCHOR_KM) a--;
+    let b = i;
+    while (b < upper && cum[b + 1] - cum[i] <= MOVE_ANCHOR_KM) b++;
+    if (a === i && i > lower) a--;
+    if (b === i && i < upper) b++;
+
+    // Route start/end points move themselves; other points are routed through
+    const stops = [...(a < i ? [full[a]] : []), edit.to, ...(b > i ? [full[b]] : [])];
+    const segment = stops.length > 1 ? await routeThrough(stops, type) : [edit.to];
+    const movedTo = nearestPointIndex(segment, edit.to).index;
+
+    const pinned = isBoundary ? { [boundaryDay]: movedTo } : {};
+    const result = splice(full, ends, a, b, segment, pinned);
+    return { value: { pathDays: splitAtEnds(result.full, result.ends), movedDays: isBoundary ? [boundaryDay] : [] } };
+  }
+
+  // reroute: replace the stretch between two points on the route (same day)
+  const fromFound = locate(full, edit.from, 'edit.from');
+  if (fromFound.error) return fromFound;
+  const toFound = locate(full, edit.to, 'edit.to');
+  if (toFound.error) return toFound;
+  const a = Math.min(fromFound.index, toFound.index);
+  const b = Math.max(fromFound.index, toFound.index);
+  if (a === b) {
+    return { error: "edit.from and edit.to must be different points on the route" };
+  }
+  if (ends.some(end => end > a && end < b)) {
+    return { error: "edit.from and edit.to must be on the same day" };
+  }
+  const via = fromFound.index <= toFound.index ? edit.via : [...edit.via].reverse();
+  const segment = await routeThrough([full[a], ...via, full[b]], type);
+  const result = splice(full, ends, a, b, segment);
+  return { value: { pathDays: splitAtEnds(result.full, result.ends), movedDays: [] } };
+}
+
+// Stored geometry fields for day paths: encoded paths, distances, elevation, grade, time
+async function geometryFields(type, pathDays, { fitnessFactor = 1 } = {}) {
+  const path = joinWithEnds(pathDays).full;
+  const dayDistancesKm = pathDays.map(day => Number(calculateRouteDistanceKm(day).toFixed(1)));
+
+  let elevation = null;
+  try {
+    elevation = await buildElevationProfile(pathDays);
+  } catch (error) {
+    console.warn('Elevation lookup failed:', error.message);
+  }
+
+  return {
+    pathEncoded: encodePath(path),
+    pathDaysEncoded: pathDays.map(encodePath),
+    distanceKm: Number(calculateRouteDistanceKm(path).toFixed(1)),
+    dayDistancesKm,
+    elevation,
+    difficulty: gradeRoute(type, dayDistancesKm, elevation),
+    timeEstimate: estimateMovingTime(type, dayDistancesKm, elevation, { fitnessFactor })
+  };
+}
+
+// Decoded day paths of a Route document
+const routePathDays = (route) => (route.pathDaysEncoded?.length
+  ? route.pathDaysEncoded.map(decodePath)
+  : [decodePath(route.pathEncoded)]);
+
+// Store the route's current geometry as a version before it is replaced by `replacedBy`
+async function snapshotVersion(route, replacedBy) {
+  const snapshot = Object.fromEntries(RouteVersion.GEOMETRY_FIELDS.map(field => {
+    const value = route[field];
+    return [field, value && typeof value.toObject === 'function' ? value.toObject() : value];
+  }));
+  // Upsert so a retry after a failed route save doesn't collide with its own snapshot
+  await RouteVersion.updateOne(
+    { routeId: route._id, version: route.version || 1 },
+    { username: route.username, replacedBy, ...snapshot },
+    { upsert: true }
+  );
+}
+
+// Apply a geometry edit to a Route document (not saved). Returns { route } or { error }.
+async function applyGeometryEdit(route, edit) {
+  const { value, error } = await editGeometry(routePathDays(route), route.type, edit);
+  if (error) return { error };
+
+  const fields = await geometryFields(route.type, value.pathDays, {
+    fitnessFactor: route.timeEstimate?.fitnessFactor || 1
+  });
+
+  await snapshotVersion(route, edit.op);
+  Object.assign(route, fields);
+
+  // Overnight stops whose day end was moved now sit where the user put them
+  const newPathDays = value.pathDays;
+  route.overnightStops = (route.overnightStops || []).map(stop => {
+    const d = stop.day - 1;
+    if (!value.movedDays.includes(d) || !newPathDays[d]) return stop;
+    const end = newPathDays[d][newPathDays[d].length - 1];
+    return { ...(stop.toObject ? stop.toObject() : stop), coordinates: end, detourKm: 0, snapped: false };
+  });
+  route.version = (route.version || 1) + 1;
+  return { route };
+}
+
+// Make an old version the current geometry again (as a new version)
+async function restoreVersion(route, version) {
+  await snapshotVersion(route, 'restore');
+  for (const field of RouteVersion.GEOMETRY_FIELDS) {
+    route[field] = version[field];
+  }
+  route.version = (route.version || 1) + 1;
+  return route;
+}
+
+module.exports = {
+  EDIT_OPERATIONS,
+  parseGeometryEdit,
+  editGeometry,
+  applyGeometryEdit,
+  restoreVersion
+};
@@ -0,0 +1,189 @@
+const { decodePath } = require('../utils/polyline');
+const { cumulativeDistancesKm } = require('./daySplitter');
+
+// Serialize a saved Route document to GPX 1.1, KML 2.2 or GeoJSON.
+// Every day becomes its own track (GPX <trk>, KML Placemark, GeoJSON feature);
+// overnight stops and other POIs become waypoints; elevation from the stored
+// profile is interpolated onto each track point when present.
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Linear interpolation of the elevation profile at a distance along the route
+function elevationAtDistance(profile, km) {
+  if (!profile || profile.length === 0) return null;
+  if (km <= profile[0].distanceKm) return profile[0].elevationM;
+  for (let i = 1; i < profile.length; i++) {
+    const a = profile[i - 1];
+    const b = profile[i];
+    if (km <= b.distanceKm) {
+      const span = b.distanceKm - a.distanceKm;
+      const t = span > 0 ? (km - a.distanceKm) / span : 0;
+      return Math.round(a.elevationM + (b.elevationM - a.elevationM) * t);
+    }
+  }
+  return profile[profile.length - 1].elevationM;
+}
+
+// Days as [[lon, lat, ele?], ...] plus the waypoints worth exporting
+function collectGeometry(route) {
+  const encodedDays = route.pathDaysEncoded?.length ? route.pathDaysEncoded : [route.pathEncoded];
+  const profile = route.elevation?.profile;
+  let offsetKm = 0;
+
+  const days = encodedDays.map(encoded => {
+    const coords = decodePath(encoded);
+    const cum = cumulativeDistancesKm(coords);
+    const withElevation = coords.map((c, i) => {
+      const ele = profile?.length ? elevationAtDistance(profile, offsetKm + cum[i]) : null;
+      return ele === null ? c : [...c, ele];
+    });
+    offsetKm += cum[cum.length - 1] || 0;
+    return withElevation;
+  });
+
+  const stops = (route.overnightStops || [])
+    .filter(stop => stop?.coordinates?.length === 2)
+    .map(stop => ({
+      name: stop.name || `End of day ${stop.day}`,
+      type: stop.type || 'overnight',
+      description: `Overnight stop after day ${stop.day}`,
+      coordinates: stop.coordinates
+    }));
+  const pois = (route.pois || [])
+    .filter(poi => poi?.coordinates?.length === 2)
+    .map(poi => ({
+      name: poi.name || 'Waypoint',
+      type: poi.type || 'poi',
+      description: poi.description || '',
+      coordinates: poi.coordinates
+    }));
+  const waypoints = [...stops, ...pois];
+
+  return { days, waypoints };
+}
+
+function toGpx(route) {
+  const { days, waypoints } = collectGeometry(route);
+  const trkpt = ([lon, lat, ele]) =>
+    `      <trkpt lat="${lat}" lon="${lon}">${ele !== undefined ? `<ele>${ele}</ele>` : ''}</trkpt>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="RoutePlanner" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(route.name)}</name>`,
+    route.description ? `    <desc>${escapeXml(route.description)}</desc>` : null,
+    route.createdAt ? `    <time>${new Date(route.createdAt).toISOString()}</time>` : null,
+    '  </metadata>',
+    ...waypoints.map(w => [
+      `  <wpt lat="${w.coordinates[1]}" lon="${w.coordinates[0]}">`,
+      `    <name>${escapeXml(w.name)}</name>`,
+      `    <desc>${escapeXml(w.description)}</desc>`,
+      `    <type>${escapeXml(w.type)}</type>`,
+      '  </wpt>'
+    ].join('\n')),
+    ...days.map((coords, i) => [
+      '  <trk>',
+      `    <name>${escapeXml(days.length > 1 ? `${route.name} – Day ${i + 1}` : route.name)}</name>`,
+      route.type ? `    <type>${escapeXml(route.type)}</type>` : null,
+      '    <trkseg>',
+      ...coords.map(trkpt),
+      '    </trkseg>',
+      '  </trk>'
+    ].filter(line => line !== null).join('\n')),
+    '</gpx>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function toKml(route) {
+  const { days, waypoints } = collectGeometry(route);
+  const coordString = (c) => c.join(',');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(route.name)}</name>`,
+    route.description ? `    <description>${escapeXml(route.description)}</description>` : null,
+    ...days.map((coords, i) => [
+      '    <Placemark>',
+      `      <name>${escapeXml(days.length > 1 ? `Day ${i + 1}` : route.name)}</name>`,
+      '      <LineString>',
+      coords.some(c => c.length === 3) ? '        <altitudeMode>absolute</altitudeMode>' : null,
+      `        <coordinates>${coords.map(coordString).join(' ')}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>'
+    ].filter(line => line !== null).join('\n')),
+    ...waypoints.map(w => [
+      '    <Placemark>',
+      `      <name>${escapeXml(w.name)}</name>`,
+      `      <description>${escapeXml(w.description)}</description>`,
+      `      <Point><coordinates>${coordString(w.coordinates)}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n')),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function toGeoJson(route) {
+  const { days, waypoints } = collectGeometry(route);
+
+  const features = [
+    ...days.map((coords, i) => ({
+      type: 'Feature',
+      properties: { kind: 'day', day: i + 1, name: days.length > 1 ? `Day ${i + 1}` : route.name },
+      geometry: { type: 'LineString', coordinates: coords }
+    })),
+    ...waypoints.map(w => ({
+      type: 'Feature',
+      properties: { kind: 'poi', name: w.name, type: w.type, description: w.description },
+      geometry: { type: 'Point', coordinates: w.coordinates }
+    }))
+  ];
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    properties: {
+      name: route.name,
+      description: route.description || null,
+      destination: route.destination || null,
+      type: route.type || null,
+      difficulty: route.difficulty || null,
+      ascentM: route.elevation?.ascentM ?? null,
+      descentM: route.elevation?.descentM ?? null
+    },
+    features
+  }, null, 2);
+}
+
+const serializers = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+// { body, contentType, filename } for the requested format
+function exportRoute(route, format) {
+  const spec = EXPORT_FORMATS[format];
+  const slug = String(route.name || 'route').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'route';
+  return {
+    body: serializers[format](route),
+    contentType: spec.contentType,
+    filename: `${slug}.${spec.extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportRoute
+};
@@ -0,0 +1,491 @@
+const { calculateRouteDistanceKm, offsetLonLat } = require('../utils/geo');
+const { ROUTING_PROFILES, getRoutingProvider } = require('./routing');
+const { splitRouteAtOvernightStops } = require('./daySplitter');
+const { buildElevationProfile } = require('./elevation');
+const { gradeRoute } = require('./difficulty');
+const { estimateMovingTime } = require('./timeEstimate');
+const { scoreCandidate } = require('./routeScoring');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { orderWaypoints } = require('./waypointOrder');
+
+// Route generation from a destination name (hike loops and multi-day bike trips).
+// Used synchronously by /api/generate-route and in the background by generation jobs,
+// which pass `onProgress` and an AbortSignal.
+
+const GENERATION_ATTEMPTS = 3;
+const ROUTE_TYPES = ['hike', 'bike'];
+// Longest hike loop that may be requested (all days together)
+const MAX_HIKE_KM = 200;
+// Day limits. Generated routes are searched for (routing probes on circles that grow
+// with the trip length), so they stay short; trips follow given waypoints with a single
+// routing call and may run longer.
+const MAX_ROUTE_DAYS = 7;
+const MAX_TRIP_DAYS = 14;
+
+// Validate and default the generation options of a request body.
+// Returns { value } or { error } with a client-facing message.
+function parseGenerateOptions(body = {}) {
+  const { destination, type } = body;
+
+  if (!destination || !type) {
+    return { error: "Destination and type are required" };
+  }
+  if (!ROUTE_TYPES.includes(type)) {
+    return { error: 'Unsupported type. Choose "hike" or "bike".' };
+  }
+
+  // Multi-day options (bike defaults keep the classic 2 x ~60km trip; hikes default to one day)
+  const days = body.days === undefined ? (type === 'hike' ? 1 : 2) : Number(body.days);
+  const maxKmPerDay = body.maxKmPerDay === undefined ? 60 : Number(body.maxKmPerDay);
+  const minKmPerDay = body.minKmPerDay === undefined ? 0 : Number(body.minKmPerDay);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ROUTE_DAYS) {
+    return { error: `days must be an integer between 1 and ${MAX_ROUTE_DAYS}` };
+  }
+  if (!Number.isFinite(maxKmPerDay) || maxKmPerDay <= 0 || maxKmPerDay > 300) {
+    return { error: "maxKmPerDay must be a number between 0 and 300" };
+  }
+  if (!Number.isFinite(minKmPerDay) || minKmPerDay < 0 || minKmPerDay > maxKmPerDay) {
+    return { error: "minKmPerDay must be a non-negative number not greater than maxKmPerDay" };
+  }
+
+  // Optional pace multiplier for time estimates (1 = average, 1.2 = 20% faster)
+  const fitnessFactor = body.fitnessFactor === undefined ? 1 : Number(body.fitnessFactor);
+  if (!Number.isFinite(fitnessFactor) || fitnessFactor < 0.5 || fitnessFactor > 2) {
+    return { error: "fitnessFactor must be a number between 0.5 and 2" };
+  }
+
+  // Extra bike routes to return next to the best one
+  const alternatives = body.alternatives === undefined ? 2 : Number(body.alternatives);
+  if (!Number.isInteger(alternatives) || alternatives < 0 || alternatives > 5) {
+    return { error: "alternatives must be an integer between 0 and 5" };
+  }
+
+  const value = { destination, type, days, maxKmPerDay, minKmPerDay, fitnessFactor, alternatives };
+
+  if (type === 'hike') {
+    // Accepted loop length (whole loop, all days); defaults to 5–15 km per day
+    const maxKm = body.maxKm === undefined ? Math.max(15 * days, Number(body.minKm) || 0) : Number(body.maxKm);
+    const minKm = body.minKm === undefined ? Math.min(5 * days, maxKm) : Number(body.minKm);
+    // Waypoints ORS spreads around the loop; more points give a rounder loop
+    const points = body.points === undefined ? 3 : Number(body.points);
+    const seed = body.seed === undefined ? undefined : Number(body.seed);
+
+    if (!Number.isFinite(minKm) || minKm < 1 || minKm > MAX_HIKE_KM) {
+      return { error: `minKm must be a number between 1 and ${MAX_HIKE_KM}` };
+    }
+    if (!Number.isFinite(maxKm) || maxKm < minKm || maxKm > MAX_HIKE_KM) {
+      return { error: `maxKm must be a number between minKm and ${MAX_HIKE_KM}` };
+    }
+    if (!Number.isInteger(points) || points < 2 || points > 10) {
+      return { error: "points must be an integer between 2 and 10" };
+    }
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+      return { error: "seed must be a non-negative integer" };
+    }
+    Object.assign(value, { minKm, maxKm, points, seed });
+  }
+
+  return { value };
+}
+
+// setTimeout as a promise that rejects as soon as the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  signal?.throwIfAborted();
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const isAbort = (error, signal) => Boolean(signal?.aborted) && error === signal.reason;
+
+async function getCoordinates(placeName) {
+  const coordinates = await getRoutingProvider().geocode(placeName);
+  if (!coordinates) {
+    throw new Error("Location not found");
+  }
+  return coordinates;
+}
+
+async function getRoute(startCoords, endCoords, type = "cycling-regular", options = {}) {
+  // Validate routing profile
+  if (!ROUTING_PROFILES.includes(type)) {
+    console.warn(`Invalid routing type: ${type}. Falling back to "cycling-regular".`);
+    type = "cycling-regular";
+  }
+
+  // If round_trip is requested, ORS expects ONLY the start coordinate.
+  const coordinates = options?.round_trip ? [startCoords] : [startCoords, endCoords];
+
+  return getRoutingProvider().directions({ coordinates, profile: type, options });
+}
+
+// Loop lengths to try, from the middle of the window outwards (one API call per try).
+// For the default 5–15 km window this is 10, 12, 8, 14, 6, 5, 15.
+function hikeLoopLengths(minKm, maxKm) {
+  const half = (maxKm - minKm) / 2;
+  const lengths = [0, 0.4, -0.4, 0.8, -0.8, -1, 1].map(f => Number((minKm + half + f * half).toFixed(1)));
+  return [...new Set(lengths)];
+}
+
+// Try a few loop lengths and pick the first whose routed distance fits minKm–maxKm.
+// Multi-day loops are split into `days`, ending each day at an overnight stop when possible.
+async function getHikeLoop(startLon, startLat, { minKm = 5, maxKm = 15, points = 3, seed, days = 1, onProbe, signal } = {}) {
+  const candidatesKm = hikeLoopLengths(minKm, maxKm);
+  for (const [i, lenKm] of candidatesKm.entries()) {
+    signal?.throwIfAborted();
+    if (onProbe) onProbe(i + 1, candidatesKm.length);
+    try {
+      const roundTrip = { length: Math.round(lenKm * 1000), points };
+      if (seed !== undefined) roundTrip.seed = seed;
+      const coords = await getRoute([startLon, startLat], null, 'foot-hiking', { round_trip: roundTrip });
+      const d = calculateRouteDistanceKm(coords);
+      if (d >= minKm && d <= maxKm) {
+        const split = days > 1 ? splitRouteAtOvernightStops(coords, days) : { days: [coords], stops: [] };
+        return { coords, km: d, days: split.days, stops: split.stops };
+      }
+    } catch (e) {
+      // try next length
+    }
+  }
+  throw new Error(`Could not generate a loop hike between ${minKm}–${maxKm} km. Try another location.`);
+}
+
+// Bearings to probe around the destination. Larger circles get more bearings so
+// neighbouring probe starts stay roughly 25km apart; cardinal directions go first.
+function probeBearings(offsetKm) {
+  const count = Math.min(16, Math.max(8, Math.ceil((2 * Math.PI * offsetKm) / 25)));
+  const step = 360 / count;
+  const bearings = Array.from({ length: count }, (_, i) => Math.round(i * step));
+  return bearings.sort((a, b) => (a % 90 === 0 ? 0 : 1) - (b % 90 === 0 ? 0 : 1));
+}
+
+// Parallel routing calls while probing bike starts (ORS free tier allows ~40 directions/min)
+const PROBE_CONCURRENCY = Number(process.env.BIKE_PROBE_CONCURRENCY || 4);
+// Stop probing once this many routes fit the day limits
+const CANDIDATE_LIMIT = Number(process.env.BIKE_CANDIDATE_LIMIT || 12);
+
+// Routing call that also reports the major-road share when the provider supports it
+async function getRouteDetailed(startCoords, endCoords, type) {
+  const provider = getRoutingProvider();
+  if (!provider.directionsDetailed) {
+    return { coordinates: await getRoute(startCoords, endCoords, type), majorRoadShare: null };
+  }
+  return provider.directionsDetailed({ coordinates: [startCoords, endCoords], profile: type, options: {} });
+}
+
+// For bikes: we'll build a city-to-city route by picking a start near the destination,
+// then split into `days` (each day within min/max km if possible).
+// Strategy: probe circles around the destination sized from the target trip length
+// (roads run ~2x the straight-line offset), a few probes at a time, and rank every
+// route that fits by day balance, distance to target, major-road share and climbing.
+// Returns the best `count` candidates: [{ coords, days, stops, totalKm, dayDistancesKm,
+// majorRoadShare, elevation, score, scores }], best first.
+async function getBikeTripNearDestination(destLon, destLat, { days = 2, maxKmPerDay = 60, minKmPerDay = 0, count = 1, onProbe, signal } = {}) {
+  const maxTotalKm = days * maxKmPerDay;
+  const minTotalKm = days * minKmPerDay;
+  const toleranceKm = 5;
+  // Without a minimum the classic trip aims for the full daily maximum
+  const targetKm = minKmPerDay > 0 ? days * (minKmPerDay + maxKmPerDay) / 2 : maxTotalKm;
+
+  // Distance from destination to start, from the full-length guess down to short trips
+  const offsetsKm = [1, 0.75, 0.6, 0.4, 0.25]
+    .map(f => Math.round(maxTotalKm * 0.5 * f))
+    .filter(km => km >= 2 && km * 2 >= minTotalKm * 0.5);
+  const probes = offsetsKm.flatMap(offset => probeBearings(offset).map(bearing => ({ offset, bearing })));
+
+  const candidates = [];
+  // Neighbouring probes often snap to the same start road; keep one copy per route
+  const seen = new Set();
+  let done = 0;
+  await mapWithConcurrency(probes, PROBE_CONCURRENCY, async ({ offset, bearing }) => {
+    if (candidates.length >= Math.max(CANDIDATE_LIMIT, count)) return;
+    const [startLon, startLat] = offsetLonLat(destLon, destLat, offset, bearing);
+    try {
+      const { coordinates: coords, majorRoadShare } = await getRouteDetailed([startLon, startLat], [destLon, destLat], 'cycling-regular');
+      const totalKm = calculateRouteDistanceKm(coords);
+      if (totalKm > 0 && totalKm <= maxTotalKm + toleranceKm * days && totalKm >= minTotalKm - toleranceKm * days) {
+        // Split into days, ending each day at an overnight stop when one is close to the even cut
+        const { days: dayCoords, stops } = splitRouteAtOvernightStops(coords, days);
+        const dayDistancesKm = dayCoords.map(calculateRouteDistanceKm);
+        const fits = dayDistancesKm.every(km =>
+          km <= maxKmPerDay + toleranceKm && km >= minKmPerDay - toleranceKm
+        );
+        const signature = `${coords[0].map(n => n.toFixed(4))}|${totalKm.toFixed(1)}`;
+        if (fits && !seen.has(signature)) {
+          seen.add(signature);
+          candidates.push({ coords, days: dayCoords, stops, totalKm, dayDistancesKm, majorRoadShare });
+        }
+      }
+    } catch (e) {
+      // try next probe
+    } finally {
+      if (onProbe) onProbe(++done, probes.length);
+    }
+  }, { signal });
+
+  if (candidates.length === 0) {
+    throw new Error(`Could not find a ${days}-day bike route near destination. Try another place or adjust the daily distance.`);
+  }
+
+  // Rank without elevation first, then look up elevation only for the shortlist
+  const rank = (list) => list
+    .map(c => ({ ...c, ...scoreCandidate(c, { targetKm }) }))
+    .sort((a, b) => b.score - a.score);
+  const shortlist = rank(candidates).slice(0, count * 2);
+
+  await mapWithConcurrency(shortlist, PROBE_CONCURRENCY, async (candidate) => {
+    try {
+      candidate.elevation = await buildElevationProfile(candidate.days);
+    } catch (error) {
+      console.warn('Elevation lookup failed:', error.message);
+      candidate.elevation = null;
+    }
+  }, { signal });
+
+  return rank(shortlist).slice(0, count);
+}
+
+// Elevation, difficulty and time estimate for a routed candidate { coords, days, stops,
+// elevation?, score?, scores? }. Elevation is optional: a failing provider must not fail the route.
+async function describeRoute(candidate, { type, fitnessFactor }) {
+  let elevation = candidate.elevation;
+  if (elevation === undefined) {
+    try {
+      elevation = await buildElevationProfile(candidate.days);
+    } catch (error) {
+      console.warn('Elevation lookup failed:', error.message);
+      elevation = null;
+    }
+  }
+  const dayDistancesKm = candidate.days.map(day => Number(calculateRouteDistanceKm(day).toFixed(1)));
+  return {
+    path: candidate.coords,
+    pathDays: candidate.days,
+    dayDistancesKm,
+    overnightStops: candidate.stops,
+    elevation,
+    difficulty: gradeRoute(type, dayDistancesKm, elevation),
+    timeEstimate: estimateMovingTime(type, dayDistancesKm, elevation, { fitnessFactor }),
+    totalKm: Number(calculateRouteDistanceKm(candidate.coords).toFixed(1)),
+    ...(candidate.score !== undefined && { score: candidate.score, scores: candidate.scores })
+  };
+}
+
+// Generate a route for options from parseGenerateOptions.
+// `onProgress({ stage, attempt, current, total, message })` reports geocoding, every routing
+// probe and the elevation lookup; aborting `signal` stops before the next routing call.
+// Resolves to the /api/generate-route response body; throws when no route was found.
+async function generateRoute(options, { onProgress = () => {}, signal } = {}) {
+  const { destination, type, days, maxKmPerDay, minKmPerDay, fitnessFactor, alternatives = 0, minKm, maxKm, points, seed } = options;
+
+  // 1) Geocode destination to [lon, lat]
+  onProgress({ stage: 'geocoding', message: `Looking up ${destination}` });
+  const [destLon, destLat] = await getCoordinates(destination);
+
+  // Ranked candidates, best first; hikes produce a single one
+  let candidates = null;
+  let lastError = null;
+
+  // Try up to 3 times with different approaches
+  for (let attempt = 1; attempt <= GENERATION_ATTEMPTS; attempt++) {
+    const onProbe = (current, total) => onProgress({
+      stage: 'routing',
+      attempt,
+      current,
+      total,
+      message: `Attempt ${attempt} of ${GENERATION_ATTEMPTS}: probe ${current} of ${total}`
+    });
+
+    try {
+      console.log(`Route generation attempt ${attempt} for ${destination} (${type})`);
+
+      if (type === 'hike') {
+        // ORS round_trip loops within minKm–maxKm; without a fixed seed retries try another loop shape
+        const res = await getHikeLoop(destLon, destLat, {
+          minKm, maxKm, points, days, seed: seed ?? (attempt > 1 ? attempt - 1 : undefined), onProbe, signal
+        });
+        candidates = [{ coords: res.coords, days: res.days, stops: res.stops }];
+      } else {
+        // Find realistic multi-day routes (start near destination), split into `days`
+        candidates = await getBikeTripNearDestination(destLon, destLat, {
+          days, maxKmPerDay, minKmPerDay, count: alternatives + 1, onProbe, signal
+        });
+      }
+
+      if (candidates[0]?.coords?.length >= 2) {
+        console.log(`✅ Route generated successfully on attempt ${attempt}`);
+        break; // Success!
+      }
+    } catch (error) {
+      if (isAbort(error, signal)) throw error;
+      lastError = error;
+      console.log(`❌ Attempt ${attempt} failed: ${error.message}`);
+
+      if (attempt < GENERATION_ATTEMPTS) {
+        // Wait a bit before retrying to avoid rate limits
+        await sleep(1000 * attempt, signal);
+      }
+    }
+  }
+
+  if (!candidates?.[0] || candidates[0].coords.length < 2) {
+    console.error('All route generation attempts failed');
+    throw new Error(lastError?.message || 'Could not generate route after 3 attempts. Please try a different destination or try again later.');
+  }
+
+  signal?.throwIfAborted();
+  onProgress({ stage: 'elevation', message: 'Looking up elevation' });
+  const routes = [];
+  for (const candidate of candidates) {
+    routes.push(await describeRoute(candidate, { type, fitnessFactor }));
+  }
+
+  const [best, ...others] = routes;
+  return {
+    destination,
+    type,
+    path: best.path,       // [[lon,lat], ...]
+    pathDays: best.pathDays,   // [[[lon,lat], ...], ...]
+    dayDistancesKm: best.dayDistancesKm, // [km, ...] one entry per pathDays item
+    overnightStops: best.overnightStops, // [{ day, name, type, coordinates, detourKm, snapped }, ...] where each day ends
+    elevation: best.elevation,  // { ascentM, descentM, maxElevationM, minElevationM, days: [...], profile: [{ distanceKm, elevationM }] } | null
+    difficulty: best.difficulty, // "easy" | "moderate" | "hard"
+    timeEstimate: best.timeEstimate, // { model, fitnessFactor, totalMinutes, days: [{ day, minutes }] }
+    totalKm: best.totalKm,
+    score: best.score ?? null, // 0–1 ranking score (bike), with per-criterion `scores`
+    scores: best.scores ?? null,
+    alternatives: others, // next-best routes with the same fields, best first
+  };
+}
+
+// Routing profile per route type
+const TRIP_PROFILES = { hike: 'foot-hiking', bike: 'cycling-regular' };
+const MAX_VIA_POINTS = 20;
+
+// A place is a name to geocode or a [lon, lat] pair; returns an error message or null
+function placeError(place, field) {
+  if (typeof place === 'string') {
+    return place.trim() && place.length <= 200 ? null : `${field} must be a non-empty place name`;
+  }
+  if (Array.isArray(place) && place.length === 2 && place.every(n => typeof n === 'number' && Number.isFinite(n))) {
+    const [lon, lat] = place;
+    return lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90 ? null : `${field} must be a valid [lon, lat] position`;
+  }
+  return `${field} must be a place name or [lon, lat]`;
+}
+
+// Validate and default a point-to-point / multi-waypoint trip request.
+// Returns { value } or { error } like parseGenerateOptions.
+function parseTripOptions(body = {}) {
+  const { type, start } = body;
+  const end = body.end ?? start; // no end: loop back to the start
+  const via = body.via === undefined ? [] : body.via;
+
+  if (!type || start === undefined) {
+    return { error: "Start and type are required" };
+  }
+  if (!TRIP_PROFILES[type]) {
+    return { error: 'Unsupported type. Choose "hike" or "bike".' };
+  }
+  if (!Array.isArray(via) || via.length > MAX_VIA_POINTS) {
+    return { error: `via must be an array of at most ${MAX_VIA_POINTS} places` };
+  }
+  const placeMessage = placeError(start, 'start') || placeError(end, 'end') ||
+    via.map((place, i) => placeError(place, `via[${i}]`)).find(Boolean);
+  if (placeMessage) {
+    return { error: placeMessage };
+  }
+
+  const days = body.days === undefined ? 1 : Number(body.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TRIP_DAYS) {
+    return { error: `days must be an integer between 1 and ${MAX_TRIP_DAYS}` };
+  }
+
+  const fitnessFactor = body.fitnessFactor === undefined ? 1 : Number(body.fitnessFactor);
+  if (!Number.isFinite(fitnessFactor) || fitnessFactor < 0.5 || fitnessFactor > 2) {
+    return { error: "fitnessFactor must be a number between 0.5 and 2" };
+  }
+
+  if (body.optimize !== undefined && typeof body.optimize !== 'boolean') {
+    return { error: "optimize must be a boolean" };
+  }
+
+  return { value: { type, start, end, via, days, fitnessFactor, optimize: Boolean(body.optimize) } };
+}
+
+const placeLabel = (place) => (typeof place === 'string' ? place.trim() : place.join(','));
+
+// Route a trip from options from parseTripOptions: geocode start, via points and end,
+// optionally reorder the via points into the shortest visiting order (straight-line),
+// route through all of them and split the result into days.
+// Resolves to the /api/generate-route response fields plus `waypoints` in visiting order.
+async function generateTrip(options, { onProgress = () => {}, signal } = {}) {
+  const { type, start, end, via, days, fitnessFactor, optimize } = options;
+
+  const places = [start, ...via, end];
+  let geocoded = 0;
+  const coordinates = await mapWithConcurrency(places, PROBE_CONCURRENCY, async (place) => {
+    const coords = typeof place === 'string' ? await getRoutingProvider().geocode(place) : place;
+    onProgress({ stage: 'geocoding', current: ++geocoded, total: places.length, message: `Geocoding ${geocoded} of ${places.length}` });
+    if (!coords) {
+      throw new Error(`Location not found: ${place}`);
+    }
+    return coords;
+  }, { signal });
+
+  const startCoords = coordinates[0];
+  const endCoords = coordinates[coordinates.length - 1];
+  let viaOrder = via.map((_, i) => i);
+  if (optimize) {
+    viaOrder = orderWaypoints(startCoords, coordinates.slice(1, -1), endCoords);
+  }
+
+  const waypoints = [
+    { role: 'start', name: placeLabel(start), coordinates: startCoords },
+    ...viaOrder.map(i => ({ role: 'via', name: placeLabel(via[i]), coordinates: coordinates[i + 1], index: i })),
+    { role: 'end', name: placeLabel(end), coordinates: endCoords }
+  ];
+
+  signal?.throwIfAborted();
+  onProgress({ stage: 'routing', current: 1, total: 1, message: `Routing through ${waypoints.length} waypoints` });
+  const coords = await getRoutingProvider().directions({
+    coordinates: waypoints.map(w => w.coordinates),
+    profile: TRIP_PROFILES[type],
+    options: {}
+  });
+  if (!coords || coords.length < 2) {
+    throw new Error('No route found between the given waypoints');
+  }
+
+  // Split into days, ending each day at an overnight stop when one is close to the even cut
+  const split = days > 1 ? splitRouteAtOvernightStops(coords, days) : { days: [coords], stops: [] };
+
+  signal?.throwIfAborted();
+  onProgress({ stage: 'elevation', message: 'Looking up elevation' });
+  const route = await describeRoute({ coords, days: split.days, stops: split.stops }, { type, fitnessFactor });
+
+  return {
+    destination: placeLabel(end),
+    type,
+    ...route,
+    waypoints, // [{ role: "start" | "via" | "end", name, coordinates, index? }] in visiting order; `index` is the via position in the request
+    optimized: optimize
+  };
+}
+
+module.exports = {
+  MAX_HIKE_KM,
+  MAX_ROUTE_DAYS,
+  MAX_TRIP_DAYS,
+  parseGenerateOptions,
+  generateRoute,
+  parseTripOptions,
+  generateTrip
+};
@@ -0,0 +1,202 @@
+const { XMLParser } = require('fast-xml-parser');
+const { calculateRouteDistanceKm } = require('../utils/geo');
+const { encodePath } = require('../utils/polyline');
+const { cumulativeDistancesKm, joinDays } = require('./daySplitter');
+const { summarizeElevations } = require('./elevation');
+
+// Parse uploaded GPX / GeoJSON tracks into the fields stored on a Route.
+// Every GPX track segment (or GeoJSON line) becomes one day; waypoints become POIs.
+
+const IMPORT_FORMATS = ['gpx', 'geojson'];
+const PROFILE_POINTS_PER_DAY = 200;
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const validLonLat = (lon, lat) =>
+  lon !== null && lat !== null && lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90;
+
+// Point as [lon, lat] or [lon, lat, ele]; null when the position is invalid
+function gpxPoint(pt) {
+  const lon = toNumber(pt['@_lon']);
+  const lat = toNumber(pt['@_lat']);
+  if (!validLonLat(lon, lat)) return null;
+  const ele = toNumber(pt.ele);
+  return ele === null ? [lon, lat] : [lon, lat, ele];
+}
+
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Same for a GeoJSON position (numbers only, no numeric strings)
+function geoJsonPoint(position) {
+  if (!Array.isArray(position)) return null;
+  const lon = finite(position[0]);
+  const lat = finite(position[1]);
+  if (!validLonLat(lon, lat)) return null;
+  const ele = finite(position[2]);
+  return ele === null ? [lon, lat] : [lon, lat, ele];
+}
+
+// Valid positions of a GeoJSON line; invalid ones are dropped
+const geoJsonLine = (coordinates) => (Array.isArray(coordinates) ? coordinates.map(geoJsonPoint).filter(Boolean) : []);
+
+function parseGpx(text) {
+  const parser = new XMLParser({ ignoreAttributes: false, parseTagValue: false, removeNSPrefix: true });
+  const gpx = parser.parse(text)?.gpx;
+  if (!gpx) throw new Error('Not a GPX document');
+
+  const days = [];
+  for (const trk of asArray(gpx.trk)) {
+    for (const seg of asArray(trk.trkseg)) {
+      days.push(asArray(seg.trkpt).map(gpxPoint).filter(Boolean));
+    }
+  }
+  // Fall back to planned routes when the file has no recorded tracks
+  if (days.length === 0) {
+    for (const rte of asArray(gpx.rte)) {
+      days.push(asArray(rte.rtept).map(gpxPoint).filter(Boolean));
+    }
+  }
+
+  const pois = asArray(gpx.wpt)
+    .map(w => ({ point: gpxPoint(w), w }))
+    .filter(({ point }) => point)
+    .map(({ point, w }) => ({
+      name: w.name ? String(w.name) : 'Waypoint',
+      type: w.type ? String(w.type) : null,
+      description: w.desc ? String(w.desc) : null,
+      coordinates: point.slice(0, 2)
+    }));
+
+  const trackName = asArray(gpx.trk)[0]?.name;
+  return {
+    name: gpx.metadata?.name || trackName || null,
+    description: gpx.metadata?.desc || asArray(gpx.trk)[0]?.desc || null,
+    days,
+    pois
+  };
+}
+
+function parseGeoJson(text) {
+  const data = typeof text === 'string' ? JSON.parse(text) : text;
+  const features = data.type === 'FeatureCollection'
+    ? data.features || []
+    : data.type === 'Feature' ? [data] : [{ type: 'Feature', properties: {}, geometry: data }];
+
+  const days = [];
+  const pois = [];
+  for (const feature of features) {
+    const geometry = feature?.geometry;
+    const props = feature?.properties || {};
+    if (!geometry) continue;
+
+    if (geometry.type === 'LineString') {
+      days.push(geoJsonLine(geometry.coordinates));
+    } else if (geometry.type === 'MultiLineString') {
+      days.push(...(Array.isArray(geometry.coordinates) ? geometry.coordinates.map(geoJsonLine) : []));
+    } else if (geometry.type === 'Point') {
+      const point = geoJsonPoint(geometry.coordinates);
+      if (!point) continue;
+      pois.push({
+        name: props.name ? String(props.name) : 'Waypoint',
+        type: props.type || null,
+        description: props.description || null,
+        coordinates: point.slice(0, 2)
+      });
+    }
+  }
+
+  return {
+    name: data.properties?.name || null,
+    description: data.properties?.description || null,
+    days,
+    pois
+  };
+}
+
+// Elevation stats and a per-day sampled profile from points that carry elevation
+function elevationFromPoints(days) {
+  if (!days.some(day => day.some(c => c.length > 2))) return null;
+
+  const dayStats = [];
+  const profile = [];
+  let offsetKm = 0;
+
+  for (const day of days) {
+    const cum = cumulativeDistancesKm(day);
+    const elevations = day.map(c => (c.length > 2 ? c[2] : null));
+    dayStats.push(summarizeElevations(elevations));
+
+    const step = Math.max(1, Math.ceil(day.length / PROFILE_POINTS_PER_DAY));
+    day.forEach((c, i) => {
+      if (c.length < 3 || (i % step !== 0 && i !== day.length - 1)) return;
+      if (i === 0 && profile.length) return;
+      profile.push({ distanceKm: Number((offsetKm + cum[i]).toFixed(2)), elevationM: Math.round(c[2]) });
+    });
+    offsetKm += cum[cum.length - 1] || 0;
+  }
+
+  const known = dayStats.filter(Boolean);
+  if (known.length === 0) return null;
+  return {
+    ascentM: known.reduce((sum, d) => sum + d.ascentM, 0),
+    descentM: known.reduce((sum, d) => sum + d.descentM, 0),
+    maxElevationM: Math.max(...known.map(d => d.maxElevationM)),
+    minElevationM: Math.min(...known.map(d => d.minElevationM)),
+    days: dayStats,
+    profile
+  };
+}
+
+// Detect the format from an explicit value, the file name or the content itself
+function detectFormat(text, { format, filename } = {}) {
+  if (format) return String(format).toLowerCase();
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (ext === 'gpx') return 'gpx';
+  if (ext === 'geojson' || ext === 'json') return 'geojson';
+  return String(text).trimStart().startsWith('<') ? 'gpx' : 'geojson';
+}
+
+// Parse a track file into { name, description, path, pathDays, pathEncoded,
+// pathDaysEncoded, dayDistancesKm, distanceKm, elevation, pois }
+function importTrack(text, options = {}) {
+  const format = detectFormat(text, options);
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const parsed = format === 'gpx' ? parseGpx(text) : parseGeoJson(text);
+  const days = parsed.days.filter(day => day.length >= 2);
+  if (days.length === 0) {
+    throw new Error('No track with at least two valid points found');
+  }
+
+  const pathDays = days.map(day => day.map(c => [c[0], c[1]]));
+  // Days share their boundary point; don't repeat it in the full path
+  const path = joinDays(pathDays);
+
+  const dayDistancesKm = pathDays.map(day => Number(calculateRouteDistanceKm(day).toFixed(1)));
+
+  return {
+    format,
+    name: parsed.name,
+    description: parsed.description,
+    path,
+    pathDays,
+    pathEncoded: encodePath(path),
+    pathDaysEncoded: pathDays.map(encodePath),
+    dayDistancesKm,
+    distanceKm: Number(calculateRouteDistanceKm(path).toFixed(1)),
+    elevation: elevationFromPoints(days),
+    pois: parsed.pois
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  importTrack
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+// Query-string parsing for GET /api/routes: filters, sort and cursor pagination.
+// The cursor encodes the sort value and _id of the last route of a page, so pages stay
+// stable while routes are added (unlike skip/offset).
+
+const SORT_FIELDS = ['lastViewedAt', 'createdAt', 'savedAt', 'distanceKm', 'name'];
+const DEFAULT_LIMIT = 60;
+const MAX_LIMIT = 100;
+const DEFAULT_NEAR_RADIUS_KM = 25;
+const EARTH_RADIUS_KM = 6378.1;
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value instanceof Date ? { $date: value.toISOString() } : value, id: String(id) })).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return { value: v && v.$date ? new Date(v.$date) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+const numberList = (value, count) => {
+  const parts = String(value).split(',').map(Number);
+  return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+};
+
+const validPosition = ([lon, lat]) => lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90;
+
+// Optional number query param; { value } (undefined when absent) or { error }
+function optionalNumber(query, name, { min = -Infinity, integer = false } = {}) {
+  if (query[name] === undefined || query[name] === '') return { value: undefined };
+  const n = Number(query[name]);
+  if (!Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))) {
+    return { error: `${name} must be ${integer ? 'an integer' : 'a number'}${min > -Infinity ? ` >= ${min}` : ''}` };
+  }
+  return { value: n };
+}
+
+function optionalDate(query, name) {
+  if (query[name] === undefined || query[name] === '') return { value: undefined };
+  const date = new Date(String(query[name]));
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${name} must be an ISO date` };
+  }
+  return { value: date };
+}
+
+const range = (from, to) => {
+  if (from === undefined && to === undefined) return undefined;
+  return { ...(from !== undefined && { $gte: from }), ...(to !== undefined && { $lte: to }) };
+};
+
+// Parse GET /api/routes query params for `username`.
+// Returns { value: { filter, sort, limit, sortField } } or { error }.
+function parseRouteListQuery(query, username) {
+  const filter = { username };
+  const and = [];
+
+  // saved=true|false (existing behaviour: saved routes sort by savedAt, the rest by lastViewedAt)
+  if (query.saved === 'true') filter.isSaved = true;
+  else if (query.saved === 'false') filter.isSaved = false;
+
+  if (query.type !== undefined) {
+    if (!['hike', 'bike'].includes(query.type)) {
+      return { error: 'type must be "hike" or "bike"' };
+    }
+    filter.type = query.type;
+  }
+
+  if (query.q !== undefined && String(query.q).trim()) {
+    filter.$text = { $search: String(query.q).trim() };
+  }
+
+  const numbers = {};
+  for (const [name, options] of Object.entries({
+    minKm: { min: 0 }, maxKm: { min: 0 },
+    minDays: { min: 1, integer: true }, maxDays: { min: 1, integer: true },
+    radiusKm: { min: 0 }, limit: { min: 1, integer: true }
+  })) {
+    const { value, error } = optionalNumber(query, name, options);
+    if (error) return { error };
+    numbers[name] = value;
+  }
+  const dates = {};
+  for (const name of ['createdFrom', 'createdTo', 'savedFrom', 'savedTo']) {
+    const { value, error } = optionalDate(query, name);
+    if (error) return { error };
+    dates[name] = value;
+  }
+
+  const distance = range(numbers.minKm, numbers.maxKm);
+  if (distance) filter.distanceKm = distance;
+  const dayCount = range(numbers.minDays, numbers.maxDays);
+  if (dayCount) filter.dayCount = dayCount;
+  const created = range(dates.createdFrom, dates.createdTo);
+  if (created) filter.createdAt = created;
+  const saved = range(dates.savedFrom, dates.savedTo);
+  if (saved) filter.savedAt = saved;
+
+  // near=lon,lat[&radiusKm=25]: routes starting within the radius
+  if (query.near !== undefined) {
+    const point = numberList(query.near, 2);
+    if (!point || !validPosition(point)) {
+      return { error: "near must be lon,lat" };
+    }
+    const radiusKm = numbers.radiusKm ?? DEFAULT_NEAR_RADIUS_KM;
+    filter.startPoint = { $geoWithin: { $centerSphere: [point, radiusKm / EARTH_RADIUS_KM] } };
+  }
+
+  // bbox=minLon,minLat,maxLon,maxLat: routes whose bounds overlap the box
+  if (query.bbox !== undefined) {
+    const box = numberList(query.bbox, 4);
+    if (!box || !validPosition(box.slice(0, 2)) || !validPosition(box.slice(2)) || box[0] >= box[2] || box[1] >= box[3]) {
+      return { error: "bbox must be minLon,minLat,maxLon,maxLat" };
+    }
+    const [w, s, e, n] = box;
+    filter.bounds = {
+      $geoIntersects: {
+        $geometry: { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] }
+      }
+    };
+  }
+
+  const sortField = query.sort ?? (filter.isSaved === true ? 'savedAt' : 'lastViewedAt');
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+  }
+  const order = query.order ?? (sortField === 'name' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  // Routes without a value for the sort field can't be paged past; leave them out
+  if (sortField === 'savedAt' || sortField === 'distanceKm') {
+    and.push({ [sortField]: { $ne: null } });
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: "cursor is invalid" };
+    }
+    const op = direction === 1 ? '$gt' : '$lt';
+    and.push({
+      $or: [
+        { [sortField]: { [op]: cursor.value } },
+        { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    });
+  }
+  if (and.length) filter.$and = and;
+
+  const limit = Math.min(numbers.limit ?? DEFAULT_LIMIT, MAX_LIMIT);
+  return {
+    value: {
+      filter,
+      sort: { [sortField]: direction, _id: direction },
+      limit,
+      sortField
+    }
+  };
+}
+
+// Cursor for the page after `routes` (null when this was the last page)
+const nextCursor = (routes, limit, sortField) => {
+  if (routes.length < limit) return null;
+  const last = routes[routes.length - 1];
+  return encodeCursor(last[sortField], last._id);
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseRouteListQuery,
+  nextCursor
+};
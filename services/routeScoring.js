@@ -0,0 +1,54 @@
+// Ranking of generated route candidates. Every component is a 0–1 score
+// (1 = best); components without data (no road classes, no elevation) are left
+// out and the remaining weights are renormalized.
+
+const WEIGHTS = {
+  balance: 0.3,   // days of similar length
+  distance: 0.35, // total close to the target
+  roads: 0.2,     // little distance on major roads
+  elevation: 0.15 // moderate climbing per km
+};
+
+// Climbing per km that scores 0 (very hilly for a loaded touring bike)
+const MAX_ASCENT_M_PER_KM = 30;
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+// 1 - coefficient of variation of the day distances
+function balanceScore(dayDistancesKm) {
+  if (dayDistancesKm.length < 2) return 1;
+  const mean = dayDistancesKm.reduce((sum, km) => sum + km, 0) / dayDistancesKm.length;
+  if (mean === 0) return 0;
+  const variance = dayDistancesKm.reduce((sum, km) => sum + (km - mean) ** 2, 0) / dayDistancesKm.length;
+  return clamp01(1 - Math.sqrt(variance) / mean);
+}
+
+const distanceScore = (totalKm, targetKm) => clamp01(1 - Math.abs(totalKm - targetKm) / targetKm);
+
+// Score a candidate { dayDistancesKm, totalKm, majorRoadShare?, elevation? } against a target
+// total distance. Returns { score, scores: { balance, distance, roads?, elevation? } }.
+function scoreCandidate({ dayDistancesKm, totalKm, majorRoadShare, elevation }, { targetKm }) {
+  const scores = {
+    balance: balanceScore(dayDistancesKm),
+    distance: distanceScore(totalKm, targetKm)
+  };
+  if (typeof majorRoadShare === 'number') {
+    scores.roads = clamp01(1 - majorRoadShare);
+  }
+  if (elevation && typeof elevation.ascentM === 'number' && totalKm > 0) {
+    scores.elevation = clamp01(1 - elevation.ascentM / totalKm / MAX_ASCENT_M_PER_KM);
+  }
+
+  const weightSum = Object.keys(scores).reduce((sum, key) => sum + WEIGHTS[key], 0);
+  const score = Object.entries(scores).reduce((sum, [key, value]) => sum + WEIGHTS[key] * value, 0) / weightSum;
+
+  const round = (n) => Number(n.toFixed(3));
+  return {
+    score: round(score),
+    scores: Object.fromEntries(Object.entries(scores).map(([key, value]) => [key, round(value)]))
+  };
+}
+
+module.exports = {
+  scoreCandidate
+};
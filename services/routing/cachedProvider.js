@@ -0,0 +1,56 @@
+const { createCache } = require('../cache');
+const { encodePath, decodePath } = require('../../utils/polyline');
+
+// Caching wrapper around a routing provider, to stay inside ORS quotas.
+// Geocoding is keyed on the normalized query, directions on profile, rounded
+// coordinates and options. Directions are stored as encoded polylines.
+
+const DAY = 24 * 3600;
+
+const normalizeQuery = (text) => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// ~1 m precision; closer points route the same
+const roundCoord = ([lon, lat]) => [Number(lon.toFixed(5)), Number(lat.toFixed(5))];
+
+function withCache(provider, {
+  geocodeTtlSeconds = Number(process.env.GEOCODE_CACHE_TTL_SECONDS || 30 * DAY),
+  directionsTtlSeconds = Number(process.env.DIRECTIONS_CACHE_TTL_SECONDS || 7 * DAY),
+  maxEntries = Number(process.env.ROUTING_CACHE_MEMORY_ENTRIES || 500)
+} = {}) {
+  const geocodeCache = createCache('geocode', { ttlSeconds: geocodeTtlSeconds, maxEntries });
+  const directionsCache = createCache('directions', { ttlSeconds: directionsTtlSeconds, maxEntries });
+
+  async function geocode(text) {
+    return geocodeCache.wrap(
+      [provider.name, normalizeQuery(text)],
+      () => provider.geocode(text)
+    );
+  }
+
+  async function directions({ coordinates, profile, options = {} }) {
+    const key = [provider.name, profile, coordinates.map(roundCoord), options || {}];
+    const encoded = await directionsCache.wrap(key, async () => {
+      const coords = await provider.directions({ coordinates, profile, options });
+      return encodePath(coords);
+    });
+    return decodePath(encoded);
+  }
+
+  async function directionsDetailed({ coordinates, profile, options = {} }) {
+    const key = [provider.name, 'detailed', profile, coordinates.map(roundCoord), options || {}];
+    const cached = await directionsCache.wrap(key, async () => {
+      const result = await provider.directionsDetailed({ coordinates, profile, options });
+      return { encoded: encodePath(result.coordinates), majorRoadShare: result.majorRoadShare };
+    });
+    return { coordinates: decodePath(cached.encoded), majorRoadShare: cached.majorRoadShare };
+  }
+
+  return {
+    ...provider,
+    geocode,
+    directions,
+    ...(provider.directionsDetailed && { directionsDetailed })
+  };
+}
+
+module.exports = withCache;
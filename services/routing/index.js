@@ -0,0 +1,40 @@
+const createOrsProvider = require('./orsProvider');
+const createLocalProvider = require('./localProvider');
+const withCache = require('./cachedProvider');
+
+// Routing/geocoding provider interface:
+//   geocode(text)                              -> [lon, lat] | null
+//   directions({ coordinates, profile, options }) -> [[lon, lat], ...]
+//   directionsDetailed(same)                   -> { coordinates, majorRoadShare } (optional;
+//     majorRoadShare is the 0–1 share of the distance on motorway/trunk/primary roads, or null)
+// `options` follows the ORS directions options (e.g. { round_trip: { length, points, seed } }).
+// For round trips only the first coordinate is used.
+
+const ROUTING_PROFILES = ["cycling-regular", "foot-hiking", "driving-car", "driving-hgv"];
+
+const providers = {
+  ors: createOrsProvider,
+  local: createLocalProvider
+};
+
+let provider = null;
+
+// Provider selected by ROUTING_PROVIDER (default "ors"), created once.
+// Calls are cached unless ROUTING_CACHE=off (default off for the local provider).
+function getRoutingProvider() {
+  if (!provider) {
+    const name = (process.env.ROUTING_PROVIDER || 'ors').toLowerCase();
+    const create = providers[name];
+    if (!create) {
+      throw new Error(`Unknown ROUTING_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+    const cacheSetting = (process.env.ROUTING_CACHE || (name === 'local' ? 'off' : 'on')).toLowerCase();
+    provider = cacheSetting === 'off' ? create() : withCache(create());
+  }
+  return provider;
+}
+
+module.exports = {
+  ROUTING_PROFILES,
+  getRoutingProvider
+};
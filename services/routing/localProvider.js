@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { segmentDistanceKm, offsetLonLat } = require('../../utils/geo');
+
+// Offline routing/geocoding from a local graph file.
+//
+// Supported inputs:
+// - GeoJSON FeatureCollection: LineString/MultiLineString features are roads
+//   (properties.highway, properties.oneway), Point features with properties.name
+//   are places used for geocoding.
+// - OSM JSON (Overpass `out body;` output): ways with a `highway` tag are roads,
+//   nodes with a `name` tag are places.
+
+// Highway classes each profile is not allowed to use
+const EXCLUDED_HIGHWAYS = {
+  'foot-hiking': ['motorway', 'motorway_link', 'trunk', 'trunk_link'],
+  'cycling-regular': ['motorway', 'motorway_link', 'steps'],
+  'driving-car': ['footway', 'path', 'cycleway', 'steps', 'pedestrian', 'bridleway', 'track'],
+  'driving-hgv': ['footway', 'path', 'cycleway', 'steps', 'pedestrian', 'bridleway', 'track']
+};
+
+const DRIVING_PROFILES = ['driving-car', 'driving-hgv'];
+
+// Highway classes counted as major roads in directionsDetailed
+const MAJOR_HIGHWAYS = ['motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link'];
+
+const nodeKey = ([lon, lat]) => `${lon.toFixed(6)},${lat.toFixed(6)}`;
+
+// Minimal binary heap keyed on `dist`, used by Dijkstra
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].dist <= items[i].dist) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < items.length && items[l].dist < items[smallest].dist) smallest = l;
+        if (r < items.length && items[r].dist < items[smallest].dist) smallest = r;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+function createGraph() {
+  return { nodes: new Map(), places: [] };
+}
+
+function addNode(graph, coord) {
+  const key = nodeKey(coord);
+  if (!graph.nodes.has(key)) {
+    graph.nodes.set(key, { key, coord: [coord[0], coord[1]], edges: [] });
+  }
+  return graph.nodes.get(key);
+}
+
+function addLine(graph, coords, tags = {}) {
+  const highway = tags.highway || 'road';
+  const oneway = tags.oneway === 'yes' || tags.oneway === true;
+  for (let i = 1; i < coords.length; i++) {
+    const a = addNode(graph, coords[i - 1]);
+    const b = addNode(graph, coords[i]);
+    if (a === b) continue;
+    const km = segmentDistanceKm(a.coord, b.coord);
+    a.edges.push({ to: b.key, km, highway, oneway: false });
+    b.edges.push({ to: a.key, km, highway, oneway });
+  }
+}
+
+function loadGeoJson(graph, data) {
+  for (const feature of data.features || []) {
+    const geometry = feature?.geometry;
+    const props = feature?.properties || {};
+    if (!geometry) continue;
+
+    if (geometry.type === 'LineString') {
+      addLine(graph, geometry.coordinates, props);
+    } else if (geometry.type === 'MultiLineString') {
+      geometry.coordinates.forEach(line => addLine(graph, line, props));
+    } else if (geometry.type === 'Point' && props.name) {
+      graph.places.push({ name: String(props.name), coord: geometry.coordinates.slice(0, 2) });
+    }
+  }
+}
+
+function loadOsmJson(graph, data) {
+  const nodesById = new Map();
+  for (const el of data.elements || []) {
+    if (el.type !== 'node') continue;
+    nodesById.set(el.id, [el.lon, el.lat]);
+    if (el.tags?.name) {
+      graph.places.push({ name: el.tags.name, coord: [el.lon, el.lat] });
+    }
+  }
+  for (const el of data.elements || []) {
+    if (el.type !== 'way' || !el.tags?.highway) continue;
+    const coords = (el.nodes || []).map(id => nodesById.get(id)).filter(Boolean);
+    addLine(graph, coords, el.tags);
+  }
+}
+
+function loadGraph(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const graph = createGraph();
+
+  if (Array.isArray(data.elements)) {
+    loadOsmJson(graph, data);
+  } else if (data.type === 'FeatureCollection') {
+    loadGeoJson(graph, data);
+  } else {
+    throw new Error(`Unsupported graph file format: ${filePath}`);
+  }
+
+  if (graph.nodes.size === 0) {
+    throw new Error(`Graph file contains no roads: ${filePath}`);
+  }
+  return graph;
+}
+
+function nearestNode(graph, coord) {
+  let best = null;
+  let bestKm = Infinity;
+  for (const node of graph.nodes.values()) {
+    const km = segmentDistanceKm(coord, node.coord);
+    if (km < bestKm) {
+      best = node;
+      bestKm = km;
+    }
+  }
+  return best;
+}
+
+// { coords, highways } – highways[i] is the class of the segment coords[i] -> coords[i + 1]
+function shortestPath(graph, fromKey, toKey, profile) {
+  if (fromKey === toKey) return { coords: [graph.nodes.get(fromKey).coord], highways: [] };
+
+  const excluded = EXCLUDED_HIGHWAYS[profile] || [];
+  const respectOneway = DRIVING_PROFILES.includes(profile);
+  const dist = new Map([[fromKey, 0]]);
+  const prev = new Map();
+  const heap = new MinHeap();
+  heap.push({ key: fromKey, dist: 0 });
+
+  while (heap.size > 0) {
+    const { key, dist: d } = heap.pop();
+    if (key === toKey) break;
+    if (d > dist.get(key)) continue;
+
+    for (const edge of graph.nodes.get(key).edges) {
+      if (excluded.includes(edge.highway)) continue;
+      if (respectOneway && edge.oneway) continue;
+      const nd = d + edge.km;
+      if (nd < (dist.has(edge.to) ? dist.get(edge.to) : Infinity)) {
+        dist.set(edge.to, nd);
+        prev.set(edge.to, { key, highway: edge.highway });
+        heap.push({ key: edge.to, dist: nd });
+      }
+    }
+  }
+
+  if (!dist.has(toKey)) return null;
+
+  const coords = [];
+  const highways = [];
+  for (let key = toKey; key; key = prev.get(key)?.key) {
+    coords.push(graph.nodes.get(key).coord);
+    if (prev.has(key)) highways.push(prev.get(key).highway);
+  }
+  return { coords: coords.reverse(), highways: highways.reverse() };
+}
+
+// Emulates ORS round_trip: place `points` waypoints on a circle whose
+// circumference roughly matches the requested length, then route through them.
+function roundTripWaypoints(start, { length = 10000, points = 3, seed = 0 }) {
+  const radiusKm = length / 1000 / (2 * Math.PI);
+  const heading = (Number(seed) * 137) % 360;
+  const [cLon, cLat] = offsetLonLat(start[0], start[1], radiusKm, heading);
+  const back = (heading + 180) % 360;
+
+  const waypoints = [];
+  for (let i = 1; i <= points; i++) {
+    waypoints.push(offsetLonLat(cLon, cLat, radiusKm, (back + (i * 360) / (points + 1)) % 360));
+  }
+  return [start, ...waypoints, start];
+}
+
+function createLocalProvider({ graphPath = process.env.LOCAL_GRAPH_PATH } = {}) {
+  if (!graphPath) {
+    throw new Error('LOCAL_GRAPH_PATH environment variable is required for the local routing provider');
+  }
+
+  let graph = null;
+  const getGraph = () => {
+    if (!graph) graph = loadGraph(path.resolve(graphPath));
+    return graph;
+  };
+
+  async function geocode(text) {
+    const query = String(text).trim().toLowerCase();
+
+    // Allow "lon,lat" queries so any point can be used without a named place
+    const match = query.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (match) return [Number(match[1]), Number(match[2])];
+
+    const { places } = getGraph();
+    const place =
+      places.find(p => p.name.toLowerCase() === query) ||
+      places.find(p => p.name.toLowerCase().includes(query));
+    return place ? [...place.coord] : null;
+  }
+
+  function route({ coordinates, profile, options = {} }) {
+    const g = getGraph();
+    const waypoints = options?.round_trip
+      ? roundTripWaypoints(coordinates[0], options.round_trip)
+      : coordinates;
+
+    const result = [];
+    const highways = [];
+    for (let i = 1; i < waypoints.length; i++) {
+      const from = nearestNode(g, waypoints[i - 1]);
+      const to = nearestNode(g, waypoints[i]);
+      const leg = shortestPath(g, from.key, to.key, profile);
+      if (!leg) {
+        throw new Error('No route found in local graph');
+      }
+      // Skip the first point of each following leg; it repeats the previous leg's end
+      result.push(...(result.length ? leg.coords.slice(1) : leg.coords));
+      highways.push(...leg.highways);
+    }
+
+    if (result.length < 2) {
+      throw new Error('No route found in local graph');
+    }
+    return { coordinates: result, highways };
+  }
+
+  async function directions(request) {
+    return route(request).coordinates;
+  }
+
+  async function directionsDetailed(request) {
+    const { coordinates, highways } = route(request);
+    let totalKm = 0;
+    let majorKm = 0;
+    highways.forEach((highway, i) => {
+      const km = segmentDistanceKm(coordinates[i], coordinates[i + 1]);
+      totalKm += km;
+      if (MAJOR_HIGHWAYS.includes(highway)) majorKm += km;
+    });
+    return { coordinates, majorRoadShare: totalKm > 0 ? majorKm / totalKm : 0 };
+  }
+
+  return { name: 'local', geocode, directions, directionsDetailed };
+}
+
+module.exports = createLocalProvider;
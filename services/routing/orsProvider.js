@@ -0,0 +1,111 @@
+const polyline = require('@mapbox/polyline');
+const fetch = require('../../utils/fetch');
+const { segmentDistanceKm } = require('../../utils/geo');
+
+const ORS_BASE_URL = 'https://api.openrouteservice.org';
+// ORS extra_info "waytype" value for motorways, trunk and primary roads
+const STATE_ROAD_WAYTYPE = 1;
+
+// geometry may be an encoded polyline string (routes[0].geometry)
+// or GeoJSON (features[0].geometry.coordinates). Support both.
+function decodeGeometry(data) {
+  const encoded = data?.routes?.[0]?.geometry;
+
+  if (typeof encoded === "string") {
+    const decoded = polyline.decode(encoded);         // [[lat, lon], ...]
+    return decoded.map(([lat, lon]) => [lon, lat]);   // → [[lon, lat], ...]
+  }
+
+  const gj = data?.features?.[0]?.geometry?.coordinates;
+  if (!gj || !Array.isArray(gj)) {
+    throw new Error("No geometry found in ORS response");
+  }
+  return gj; // already [[lon, lat], ...]
+}
+
+// OpenRouteService client (geocoding + directions)
+function createOrsProvider({ apiKey = process.env.ORS_API_KEY, baseUrl = ORS_BASE_URL } = {}) {
+  async function geocode(text) {
+    const url = `${baseUrl}/geocode/search`;
+    const response = await fetch(`${url}?api_key=${apiKey}&text=${encodeURIComponent(text)}`);
+    const data = await response.json();
+
+    if (!data.features || data.features.length === 0) {
+      return null;
+    }
+
+    const [lon, lat] = data.features[0].geometry.coordinates;
+    return [lon, lat];
+  }
+
+  async function requestDirections({ coordinates, profile, options = {} }, extra = {}) {
+    const url = `${baseUrl}/v2/directions/${profile}`;
+
+    const body = {
+      coordinates,
+      // DO NOT send radiuses here; not needed and can cause 4xx/instability.
+      options,
+      ...extra
+    };
+
+    // Enhanced retry for 429/5xx with exponential backoff
+    const doFetch = async (attempt = 1) => {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: apiKey,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+
+        // retry on rate-limit or server errors with exponential backoff
+        if ((res.status === 429 || res.status >= 500) && attempt < 3) {
+          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // 1s, 2s, 4s max 5s
+          console.log(`ORS rate limit/server error (${res.status}), retrying in ${delay}ms (attempt ${attempt}/3)`);
+          await new Promise(r => setTimeout(r, delay));
+          return doFetch(attempt + 1);
+        }
+
+        console.error("ORS error:", err);
+        console.error("Request details:", { url, profile, body });
+        throw new Error("OpenRouteService request failed: " + (err.error?.message || err.message || "Unknown error"));
+      }
+      return res.json();
+    };
+
+    return doFetch();
+  }
+
+  async function directions(request) {
+    return decodeGeometry(await requestDirections(request));
+  }
+
+  // Directions plus the share of the distance on major roads (ORS waytype "State Road")
+  async function directionsDetailed(request) {
+    const data = await requestDirections(request, { extra_info: ['waytype'] });
+    const coordinates = decodeGeometry(data);
+    const waytypes = data?.routes?.[0]?.extras?.waytypes?.values;
+    if (!Array.isArray(waytypes)) {
+      return { coordinates, majorRoadShare: null };
+    }
+
+    let totalKm = 0;
+    let majorKm = 0;
+    for (const [from, to, waytype] of waytypes) {
+      for (let i = from; i < to && i + 1 < coordinates.length; i++) {
+        const km = segmentDistanceKm(coordinates[i], coordinates[i + 1]);
+        totalKm += km;
+        if (waytype === STATE_ROAD_WAYTYPE) majorKm += km;
+      }
+    }
+    return { coordinates, majorRoadShare: totalKm > 0 ? majorKm / totalKm : null };
+  }
+
+  return { name: 'ors', geocode, directions, directionsDetailed };
+}
+
+module.exports = createOrsProvider;
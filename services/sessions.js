@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Sign-in sessions: a short-lived JWT access token plus a refresh token that is
+// rotated on every use. A refresh token that was already rotated away is treated
+// as stolen and revokes its session.
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<random secret>"
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, ...rest] = String(refreshToken || '').split('.');
+  if (rest.length || !/^[0-9a-f]{24}$/.test(sessionId) || !secret) return null;
+  return { sessionId, secret };
+}
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000);
+
+const tokenPair = (user, session, secret) => ({
+  token: user.generateAuthToken(session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: User.ACCESS_TOKEN_TTL_SECONDS
+});
+
+// Start a session for `user` (login/registration). `req` supplies device details.
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req?.get?.('User-Agent') || undefined,
+    ip: req?.ip,
+    expiresAt: refreshExpiry()
+  });
+  return tokenPair(user, session, secret);
+}
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Returns { value: { user, token, refreshToken, expiresIn } } or { error }.
+async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  // Rotate atomically so the same token can't be exchanged twice
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: hashToken(secret), lastUsedAt: now, expiresAt: refreshExpiry() } },
+    { new: true }
+  );
+
+  if (!session) {
+    // A valid session with a different token: an old refresh token was replayed
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now } }
+    );
+    if (reused) console.warn(`Refresh token reuse detected, revoked session ${parsed.sessionId}`);
+    return { error: 'Invalid refresh token' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await revokeSession(session._id);
+    return { error: 'Invalid refresh token' };
+  }
+  return { value: { user, ...tokenPair(user, session, secret) } };
+}
+
+// Is the session behind an access token still usable?
+const isSessionActive = async (sessionId, userId) =>
+  Boolean(await Session.exists({ _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+const revokeSession = (sessionId) =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+// "Log out everywhere"; returns the number of sessions revoked
+async function revokeAllSessions(userId) {
+  const result = await Session.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,88 @@
+// Moving-time estimates per day.
+//
+// hike – Naismith's rule: 5 km/h on the flat plus 1 hour per 600m of ascent,
+//        with Langmuir's descent correction of ~10 minutes per 300m down.
+// bike – speed-on-grade: a flat cruising speed that drops on climbs and rises
+//        on descents, integrated over the sampled elevation profile.
+//
+// fitnessFactor scales speed: 1 is an average rider/hiker, 1.2 is 20% faster.
+
+const HIKE_FLAT_KMH = 5;
+const HIKE_ASCENT_M_PER_HOUR = 600;
+const HIKE_DESCENT_M_PER_HOUR = 1800;
+
+const BIKE_FLAT_KMH = 20;
+const BIKE_MIN_KMH = 6;
+const BIKE_MAX_KMH = 40;
+const BIKE_CLIMB_SLOWDOWN = 0.12;  // per % of uphill grade
+const BIKE_DESCENT_SPEEDUP = 0.05; // per % of downhill grade
+
+const MIN_FITNESS = 0.5;
+const MAX_FITNESS = 2;
+
+function clampFitness(fitnessFactor) {
+  const f = Number(fitnessFactor);
+  if (!Number.isFinite(f) || f <= 0) return 1;
+  return Math.min(MAX_FITNESS, Math.max(MIN_FITNESS, f));
+}
+
+function hikeHours(distanceKm, ascentM = 0, descentM = 0) {
+  return distanceKm / HIKE_FLAT_KMH + ascentM / HIKE_ASCENT_M_PER_HOUR + descentM / HIKE_DESCENT_M_PER_HOUR;
+}
+
+function bikeSpeedKmh(gradePercent) {
+  if (gradePercent > 0) {
+    return Math.max(BIKE_MIN_KMH, BIKE_FLAT_KMH / (1 + BIKE_CLIMB_SLOWDOWN * gradePercent));
+  }
+  return Math.min(BIKE_MAX_KMH, BIKE_FLAT_KMH * (1 + BIKE_DESCENT_SPEEDUP * -gradePercent));
+}
+
+// profile: [{ distanceKm, elevationM }] for this day only (distances may carry an offset)
+function bikeHours(distanceKm, profile) {
+  if (!profile || profile.length < 2) return distanceKm / BIKE_FLAT_KMH;
+
+  let hours = 0;
+  let coveredKm = 0;
+  for (let i = 1; i < profile.length; i++) {
+    const segKm = profile[i].distanceKm - profile[i - 1].distanceKm;
+    if (segKm <= 0) continue;
+    const gradePercent = ((profile[i].elevationM - profile[i - 1].elevationM) / (segKm * 1000)) * 100;
+    hours += segKm / bikeSpeedKmh(gradePercent);
+    coveredKm += segKm;
+  }
+  // Whatever the profile doesn't cover is ridden on the flat
+  return hours + Math.max(0, distanceKm - coveredKm) / BIKE_FLAT_KMH;
+}
+
+// Profile points that fall inside [fromKm, toKm]
+const profileSlice = (profile, fromKm, toKm) =>
+  (profile || []).filter(p => p.distanceKm >= fromKm - 1e-6 && p.distanceKm <= toKm + 1e-6);
+
+// dayDistancesKm: [km, ...]; elevation: result of buildElevationProfile (or null)
+function estimateMovingTime(type, dayDistancesKm, elevation, { fitnessFactor = 1 } = {}) {
+  const fitness = clampFitness(fitnessFactor);
+  let startKm = 0;
+
+  const days = dayDistancesKm.map((km, i) => {
+    let hours;
+    if (type === 'bike') {
+      hours = bikeHours(km, profileSlice(elevation?.profile, startKm, startKm + km));
+    } else {
+      const stats = elevation?.days?.[i];
+      hours = hikeHours(km, stats?.ascentM, stats?.descentM);
+    }
+    startKm += km;
+    return { day: i + 1, minutes: Math.round((hours * 60) / fitness) };
+  });
+
+  return {
+    model: type === 'bike' ? 'speed-on-grade' : 'naismith',
+    fitnessFactor: fitness,
+    totalMinutes: days.reduce((sum, d) => sum + d.minutes, 0),
+    days
+  };
+}
+
+module.exports = {
+  estimateMovingTime
+};
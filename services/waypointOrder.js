@@ -0,0 +1,90 @@
+const { segmentDistanceKm } = require('../utils/geo');
+
+// Shortest visiting order of via points between a fixed start and end, on
+// straight-line distances (no routing calls). Exact for small inputs, nearest
+// neighbour plus 2-opt improvement above that.
+
+const EXACT_LIMIT = 8;
+
+const tourKm = (points, order) => order.reduce(
+  (sum, idx, i) => (i === 0 ? 0 : sum + segmentDistanceKm(points[order[i - 1]], points[idx])),
+  0
+);
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const perm of permutations(rest)) yield [items[i], ...perm];
+  }
+}
+
+function exactOrder(points, viaIdx, startIdx, endIdx) {
+  let best = null;
+  let bestKm = Infinity;
+  for (const perm of permutations(viaIdx)) {
+    const km = tourKm(points, [startIdx, ...perm, endIdx]);
+    if (km < bestKm) {
+      best = perm;
+      bestKm = km;
+    }
+  }
+  return best;
+}
+
+function heuristicOrder(points, viaIdx, startIdx, endIdx) {
+  // Nearest neighbour from the start
+  const remaining = new Set(viaIdx);
+  const order = [];
+  let current = startIdx;
+  while (remaining.size) {
+    let next = null;
+    let nextKm = Infinity;
+    for (const idx of remaining) {
+      const km = segmentDistanceKm(points[current], points[idx]);
+      if (km < nextKm) {
+        next = idx;
+        nextKm = km;
+      }
+    }
+    order.push(next);
+    remaining.delete(next);
+    current = next;
+  }
+
+  // 2-opt: reverse stretches of the via sequence while that shortens the tour
+  let tour = [startIdx, ...order, endIdx];
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < tour.length - 2; i++) {
+      for (let k = i + 1; k < tour.length - 1; k++) {
+        const candidate = [...tour.slice(0, i), ...tour.slice(i, k + 1).reverse(), ...tour.slice(k + 1)];
+        if (tourKm(points, candidate) + 1e-9 < tourKm(points, tour)) {
+          tour = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+  return tour.slice(1, -1);
+}
+
+// Indexes into `via` ([[lon, lat], ...]) in visiting order
+function orderWaypoints(start, via, end) {
+  if (via.length < 2) return via.map((_, i) => i);
+  const points = [...via, start, end];
+  const viaIdx = via.map((_, i) => i);
+  const startIdx = via.length;
+  const endIdx = via.length + 1;
+  return via.length <= EXACT_LIMIT
+    ? exactOrder(points, viaIdx, startIdx, endIdx)
+    : heuristicOrder(points, viaIdx, startIdx, endIdx);
+}
+
+module.exports = {
+  orderWaypoints
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { describeWeatherCode } = require('./codes');
+
+// Offline weather for development and tests.
+// WEATHER_FIXTURE_PATH may point to a JSON object keyed by "YYYY-MM-DD" (plus an
+// optional "default" entry) with { tempMinC, tempMaxC, precipitationMm,
+// precipitationProbability, windMaxKmh, weatherCode }. Every point gets the same day.
+
+const DEFAULT_DAY = {
+  tempMinC: 12,
+  tempMaxC: 22,
+  precipitationMm: 0,
+  precipitationProbability: 10,
+  windMaxKmh: 15,
+  weatherCode: 1
+};
+
+function createFixtureProvider({ fixturePath = process.env.WEATHER_FIXTURE_PATH } = {}) {
+  let fixture = null;
+  const getFixture = () => {
+    if (!fixture) {
+      fixture = fixturePath ? JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8')) : {};
+    }
+    return fixture;
+  };
+
+  async function dailyForecast(points, { startDate, endDate }) {
+    const data = getFixture();
+    const byDate = {};
+    for (let d = new Date(`${startDate}T00:00:00Z`); d <= new Date(`${endDate}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+      const date = d.toISOString().slice(0, 10);
+      const day = { ...DEFAULT_DAY, ...(data.default || {}), ...(data[date] || {}) };
+      byDate[date] = { ...day, summary: describeWeatherCode(day.weatherCode) };
+    }
+    return points.map(() => byDate);
+  }
+
+  return { name: 'fixture', dailyForecast };
+}
+
+module.exports = createFixtureProvider;
@@ -0,0 +1,108 @@
+const createOpenMeteoProvider = require('./openMeteoProvider');
+const createFixtureProvider = require('./fixtureProvider');
+const { sampleAlongRoute } = require('../elevation');
+const { addDays } = require('../../utils/dates');
+
+// Weather provider interface:
+//   dailyForecast([[lon, lat], ...], { startDate, endDate }) -> [{ "YYYY-MM-DD": forecast }, ...]
+// one map per point. Selected by WEATHER_PROVIDER ("open-meteo" by default,
+// "fixture" for offline use, "none" to disable).
+
+const providers = {
+  'open-meteo': createOpenMeteoProvider,
+  fixture: createFixtureProvider
+};
+
+// Points per day the forecast is sampled at (start, middle, end)
+const SAMPLES_PER_DAY = 3;
+
+const sampleLabel = (i, count) => (i === 0 ? 'start' : i === count - 1 ? 'end' : 'middle');
+
+let provider;
+
+function getWeatherProvider() {
+  if (provider === undefined) {
+    const name = (process.env.WEATHER_PROVIDER || 'open-meteo').toLowerCase();
+    if (name !== 'none' && !providers[name]) {
+      throw new Error(`Unknown WEATHER_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}, none`);
+    }
+    provider = name === 'none' ? null : providers[name]();
+  }
+  return provider;
+}
+
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+const pick = (values, fn) => {
+  const known = values.filter(v => typeof v === 'number');
+  return known.length ? fn(...known) : null;
+};
+
+// Worst-case summary of a day's samples (what you need to pack for)
+function summarizeDay(samples) {
+  const forecasts = samples.map(s => s.forecast).filter(Boolean);
+  if (forecasts.length === 0) return null;
+  const worst = forecasts.reduce((a, b) => ((b.weatherCode ?? -1) > (a.weatherCode ?? -1) ? b : a));
+  return {
+    tempMinC: pick(forecasts.map(f => f.tempMinC), Math.min),
+    tempMaxC: pick(forecasts.map(f => f.tempMaxC), Math.max),
+    precipitationMm: pick(forecasts.map(f => f.precipitationMm), Math.max),
+    precipitationProbability: pick(forecasts.map(f => f.precipitationProbability), Math.max),
+    windMaxKmh: pick(forecasts.map(f => f.windMaxKmh), Math.max),
+    weatherCode: worst.weatherCode,
+    summary: worst.summary
+  };
+}
+
+// Forecast for every route day, sampled at the start, middle and end of the day's segment.
+// Day i is planned for startDate + i. Days beyond the forecast horizon get `forecast: null`.
+// Returns [{ day, date, forecast, samples: [{ label, coordinates, forecast }] }], or null when
+// weather is disabled.
+async function getRouteForecast(pathDays, startDate = new Date().toISOString().slice(0, 10)) {
+  const weatherProvider = getWeatherProvider();
+  if (!weatherProvider || !pathDays?.length) return null;
+  if (!isIsoDate(startDate)) {
+    throw new Error('startDate must be a YYYY-MM-DD date');
+  }
+
+  const daySamples = pathDays.map(day =>
+    sampleAlongRoute(day, SAMPLES_PER_DAY).map((s, i, all) => ({
+      label: sampleLabel(i, all.length),
+      coordinates: s.coord.map(n => Number(n.toFixed(5)))
+    }))
+  );
+
+  const points = daySamples.flat().map(s => s.coordinates);
+  const endDate = addDays(startDate, pathDays.length - 1);
+  const forecasts = await weatherProvider.dailyForecast(points, { startDate, endDate });
+
+  let pointIdx = 0;
+  return daySamples.map((samples, i) => {
+    const date = addDays(startDate, i);
+    const withForecast = samples.map(s => ({ ...s, forecast: forecasts[pointIdx++]?.[date] || null }));
+    return { day: i + 1, date, forecast: summarizeDay(withForecast), samples: withForecast };
+  });
+}
+
+// Compact per-day form passed to the LLM as `weatherDaily`
+const toWeatherDaily = (routeForecast) =>
+  (routeForecast || []).filter(d => d.forecast).map(({ day, date, forecast }) => ({ day, date, ...forecast }));
+
+// weatherDaily for enrichment, or undefined when weather is off or the lookup fails
+async function forecastForEnrichment(pathDays, startDate) {
+  try {
+    const daily = toWeatherDaily(await getRouteForecast(pathDays, startDate || undefined));
+    return daily.length ? daily : undefined;
+  } catch (error) {
+    console.warn('Weather forecast unavailable for enrichment:', error.message);
+    return undefined;
+  }
+}
+
+module.exports = {
+  isIsoDate,
+  getWeatherProvider,
+  getRouteForecast,
+  toWeatherDaily,
+  forecastForEnrichment
+};
@@ -0,0 +1,68 @@
+const fetch = require('../../utils/fetch');
+const { describeWeatherCode } = require('./codes');
+const { addDays } = require('../../utils/dates');
+
+const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+const DAILY_FIELDS = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_sum',
+  'precipitation_probability_max',
+  'wind_speed_10m_max'
+];
+
+// Open-Meteo only forecasts this many days ahead (today included)
+const FORECAST_DAYS = 16;
+
+// Open-Meteo daily forecast (no API key). All points go in one request.
+// Dates outside the forecast horizon are simply missing from the result.
+function createOpenMeteoProvider({ baseUrl = process.env.OPEN_METEO_URL || OPEN_METEO_URL } = {}) {
+  async function dailyForecast(points, { startDate, endDate }) {
+    const today = new Date().toISOString().slice(0, 10);
+    const lastDate = addDays(today, FORECAST_DAYS - 1);
+    if (startDate < today) startDate = today;
+    if (endDate > lastDate) endDate = lastDate;
+    if (startDate > endDate) return points.map(() => ({}));
+
+    const params = new URLSearchParams({
+      latitude: points.map(([, lat]) => lat.toFixed(4)).join(','),
+      longitude: points.map(([lon]) => lon.toFixed(4)).join(','),
+      daily: DAILY_FIELDS.join(','),
+      timezone: 'auto',
+      start_date: startDate,
+      end_date: endDate
+    });
+
+    const res = await fetch(`${baseUrl}?${params}`);
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error("Weather request failed: " + (err.reason || res.statusText || "Unknown error"));
+    }
+
+    const data = await res.json();
+    // A single location comes back as an object, several as an array
+    const locations = Array.isArray(data) ? data : [data];
+
+    return locations.map(({ daily = {} }) => {
+      const byDate = {};
+      (daily.time || []).forEach((date, i) => {
+        const code = daily.weather_code?.[i] ?? null;
+        byDate[date] = {
+          tempMinC: daily.temperature_2m_min?.[i] ?? null,
+          tempMaxC: daily.temperature_2m_max?.[i] ?? null,
+          precipitationMm: daily.precipitation_sum?.[i] ?? null,
+          precipitationProbability: daily.precipitation_probability_max?.[i] ?? null,
+          windMaxKmh: daily.wind_speed_10m_max?.[i] ?? null,
+          weatherCode: code,
+          summary: describeWeatherCode(code)
+        };
+      });
+      return byDate;
+    });
+  }
+
+  return { name: 'open-meteo', dailyForecast };
+}
+
+module.exports = createOpenMeteoProvider;
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodePath } = require('../utils/polyline');
+const { editGeometry } = require('../services/routeEditing');
+
+const pathDays = [
+  [[7.58, 47.55], [7.6, 47.56], [7.62, 47.57]],
+  [[7.62, 47.57], [7.64, 47.58], [7.66, 47.59]]
+];
+
+test('replace-day accepts a supplied path that starts and ends on the day', async () => {
+  const pathEncoded = encodePath([[7.58, 47.55], [7.59, 47.555], [7.62, 47.57]]);
+  const { value, error } = await editGeometry(pathDays, 'bike', { op: 'replace-day', day: 1, pathEncoded, via: [] });
+
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(value.pathDays[0], [[7.58, 47.55], [7.59, 47.555], [7.62, 47.57]]);
+  assert.deepStrictEqual(value.pathDays[1], pathDays[1]);
+});
+
+test('replace-day rejects a supplied path with an out-of-range middle point', async () => {
+  const pathEncoded = encodePath([[7.58, 47.55], [7.59, 95], [7.62, 47.57]]);
+  const { value, error } = await editGeometry(pathDays, 'bike', { op: 'replace-day', day: 1, pathEncoded, via: [] });
+
+  assert.strictEqual(value, undefined);
+  assert.match(error, /point 1 is not a valid \[lon, lat\] position/);
+});
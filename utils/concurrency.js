@@ -0,0 +1,23 @@
+// Run `fn(item, index)` over all items with at most `limit` calls in flight.
+// Results keep the input order; a rejected call rejects the whole run, so
+// callers that tolerate failures should catch inside `fn`. Aborting `signal`
+// stops scheduling new items and rejects with the abort reason.
+async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  signal?.throwIfAborted();
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
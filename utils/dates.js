@@ -0,0 +1,12 @@
+// Calendar-date helpers for "YYYY-MM-DD" strings (UTC, no time of day)
+
+// `isoDate` plus `days` (may be negative)
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  addDays
+};
@@ -0,0 +1,4 @@
+// Use the built-in fetch when available (Node 18+), fall back to node-fetch otherwise
+const fetch = global.fetch || ((...args) => import('node-fetch').then(({default: f}) => f(...args)));
+
+module.exports = fetch;
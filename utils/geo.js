@@ -0,0 +1,71 @@
+// Geometry helpers shared by route generation and the routing providers.
+// All coordinates are [lon, lat].
+
+// Haversine distance in KM for [lon,lat]
+function segmentDistanceKm(a, b) {
+  const [lon1, lat1] = a;
+  const [lon2, lat2] = b;
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const la1 = lat1 * Math.PI / 180;
+  const la2 = lat2 * Math.PI / 180;
+  const s = Math.sin(dLat / 2) ** 2 + Math.cos(la1) * Math.cos(la2) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(s), Math.sqrt(1 - s));
+}
+
+function calculateRouteDistanceKm(coords) {
+  if (!coords || coords.length < 2) return 0;
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) {
+    total += segmentDistanceKm(coords[i - 1], coords[i]);
+  }
+  return total;
+}
+
+// Point at `km` from [lon, lat] along `bearingDeg` (great-circle destination formula)
+function offsetLonLat(lon, lat, km, bearingDeg) {
+  const R = 6371;
+  const br = (bearingDeg * Math.PI) / 180;
+  const dByR = km / R;
+  const lat1 = (lat * Math.PI) / 180;
+  const lon1 = (lon * Math.PI) / 180;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(dByR) + Math.cos(lat1) * Math.sin(dByR) * Math.cos(br)
+  );
+  const lon2 =
+    lon1 +
+    Math.atan2(
+      Math.sin(br) * Math.sin(dByR) * Math.cos(lat1),
+      Math.cos(dByR) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return [(lon2 * 180) / Math.PI, (lat2 * 180) / Math.PI];
+}
+
+// Index of the route vertex closest to `point`, with its distance: { index, km }
+function nearestPointIndex(coords, point) {
+  let index = -1;
+  let km = Infinity;
+  coords.forEach((c, i) => {
+    const d = segmentDistanceKm(c, point);
+    if (d < km) {
+      index = i;
+      km = d;
+    }
+  });
+  return { index, km };
+}
+
+// [lon, lat] of finite numbers within the valid ranges
+const isValidPosition = (value) => Array.isArray(value) && value.length >= 2 &&
+  Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+  value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90;
+
+module.exports = {
+  isValidPosition,
+  segmentDistanceKm,
+  calculateRouteDistanceKm,
+  offsetLonLat,
+  nearestPointIndex
+};
@@ -0,0 +1,64 @@
+// Incremental parser for a JSON object that arrives in chunks (e.g. a streamed
+// LLM answer). Calls onMember(key, value) as soon as each top-level member is
+// complete. Text before the opening brace (chatter, code fences) is ignored.
+function createJsonMemberParser(onMember) {
+  let buffer = '';
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let memberStart = -1;
+  let done = false;
+
+  const emit = (end) => {
+    const slice = buffer.slice(memberStart, end).trim();
+    if (!slice) return;
+    try {
+      const member = JSON.parse(`{${slice}}`);
+      for (const [key, value] of Object.entries(member)) onMember(key, value);
+    } catch (e) {
+      // Malformed member: the final full parse/validation will report it
+    }
+  };
+
+  function push(chunk) {
+    if (done) return;
+    buffer += chunk;
+    for (; pos < buffer.length; pos++) {
+      const ch = buffer[pos];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"' && depth > 0) {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+        if (depth === 1) {
+          if (ch !== '{') { depth = 0; continue; }
+          memberStart = pos + 1;
+        }
+      } else if ((ch === '}' || ch === ']') && depth > 0) {
+        if (depth === 1) {
+          emit(pos);
+          done = true;
+          return;
+        }
+        depth--;
+      } else if (ch === ',' && depth === 1) {
+        emit(pos);
+        memberStart = pos + 1;
+      }
+    }
+  }
+
+  return { push };
+}
+
+module.exports = {
+  createJsonMemberParser
+};
@@ -0,0 +1,16 @@
+const polyline = require('@mapbox/polyline');
+
+// Encoded polylines store [lat, lon]; the rest of the app works with [lon, lat]
+
+function decodePath(encoded) {
+  return polyline.decode(encoded).map(([lat, lon]) => [lon, lat]);
+}
+
+function encodePath(coords) {
+  return polyline.encode(coords.map(([lon, lat]) => [lat, lon]));
+}
+
+module.exports = {
+  decodePath,
+  encodePath
+};